@@ -1,15 +1,28 @@
+importScripts('screenshot-store.js', 'test-schema.js', 'selector-utils.js', 'step-variables.js');
+
 class E2EBackgroundScript {
   constructor() {
+    this.recordingQueue = Promise.resolve(); // Serializes recording session updates
+    this.activeExecutions = new Map(); // tabId -> { executionId, cancelled } for running tests
+    this.observedDialogs = new Map(); // tabId -> dialogs answered during replay, oldest first
+    this.armedDialogTabs = new Set(); // Tabs holding dialog answers armed by the last step
+    this.debuggerTabs = new Set(); // Tabs with chrome.debugger attached for trusted input
+    this.listeningForDetach = false;
     this.init();
   }
 
   init() {
     this.setupInstallListener();
     this.setupTabUpdateListener();
+    this.setupTabTrackingListener();
     this.setupCommandListener();
     this.setupContextMenu();
     this.setupMessageListener();
-    this.setupTestExecutionTabListener();
+    this.resumePendingExecutions().catch(error => {
+      console.error('Could not resume test executions:', error);
+      this.clearStaleExecutionStates().catch(clearError =>
+        console.error('Could not clear test execution state:', clearError));
+    });
   }
 
   setupInstallListener() {
@@ -19,7 +32,9 @@ class E2EBackgroundScript {
         this.initializeStorage();
       } else if (details.reason === 'update') {
         console.log('E2E Test Recorder updated');
-        this.migrateData();
+        this.migrateData()
+          .then(() => this.collectScreenshotGarbage())
+          .catch(error => console.error('Data migration failed:', error));
       }
     });
   }
@@ -52,7 +67,7 @@ class E2EBackgroundScript {
             });
           return true; // Keep message channel open for async response
         case 'updateStepScreenshot':
-          this.updateStepScreenshot(message.stepNumber, message.newScreenshot, message.stepData)
+          this.updateStepScreenshot(message.testId, message.stepId, message.newScreenshot)
             .then(() => {
               console.log('Step screenshot updated successfully');
               sendResponse({ success: true });
@@ -62,13 +77,26 @@ class E2EBackgroundScript {
               sendResponse({ error: error.message });
             });
           return true; // Keep message channel open for async response
-        case 'saveTestExecutionState':
-          this.saveTestExecutionState(
-            message.tabId || sender.tab?.id,
-            message.testData,
-            message.currentStepIndex,
-            message.startTime
-          )
+        case 'startTestExecution':
+          this.startTestExecution(message.tabId, message.test, message.executionId)
+            .then(() => {
+              sendResponse({ success: true });
+            })
+            .catch(error => {
+              sendResponse({ error: error.message });
+            });
+          return true;
+        case 'stopTestExecution':
+          this.stopTestExecution(message.tabId, message.executionId)
+            .then(stopped => {
+              sendResponse({ success: stopped });
+            })
+            .catch(error => {
+              sendResponse({ error: error.message });
+            });
+          return true;
+        case 'trustedInput':
+          this.dispatchTrustedInput(sender.tab?.id, message.input)
             .then(() => {
               sendResponse({ success: true });
             })
@@ -76,17 +104,89 @@ class E2EBackgroundScript {
               sendResponse({ error: error.message });
             });
           return true;
-        case 'getTestExecutionState':
-          this.getTestExecutionState(message.tabId || sender.tab?.id)
-            .then(state => {
-              sendResponse({ state });
+        case 'dialogOpened':
+          this.handleDialogOpened(sender.tab?.id, message.dialog);
+          sendResponse({ success: true });
+          break;
+        case 'getTestExecutionStatus':
+          sendResponse({
+            isReplaying: this.isExecutionActive(message.tabId, message.executionId)
+          });
+          break;
+        case 'getScreenshot':
+          ScreenshotStore.getDataUrl(message.screenshotRef)
+            .then(dataUrl => {
+              sendResponse({ dataUrl });
+            })
+            .catch(error => {
+              sendResponse({ error: error.message });
+            });
+          return true;
+        case 'storeScreenshot':
+          ScreenshotStore.put(message.dataUrl)
+            .then(screenshotRef => {
+              sendResponse({ screenshotRef });
+            })
+            .catch(error => {
+              sendResponse({ error: error.message });
+            });
+          return true;
+        case 'collectScreenshotGarbage':
+          this.collectScreenshotGarbage()
+            .then(deletedCount => {
+              sendResponse({ deletedCount });
+            })
+            .catch(error => {
+              sendResponse({ error: error.message });
+            });
+          return true;
+        case 'startRecordingSession':
+          this.startRecordingSession(message.tabId, message.testName, message.startUrl)
+            .then(session => {
+              sendResponse({ session });
+            })
+            .catch(error => {
+              sendResponse({ error: error.message });
+            });
+          return true;
+        case 'recordStep':
+          this.appendRecordedStep(message.tabId || sender.tab?.id, message.step)
+            .then(step => {
+              sendResponse({ success: !!step, step });
+            })
+            .catch(error => {
+              sendResponse({ error: error.message });
+            });
+          return true;
+        case 'recordingPageReady':
+          this.handleRecordingPageReady(sender.tab?.id, message.url, sender.frameId)
+            .then(session => {
+              sendResponse({ session });
+            })
+            .catch(error => {
+              sendResponse({ error: error.message });
+            });
+          return true;
+        case 'stopRecordingSession':
+          this.stopRecordingSession()
+            .then(session => {
+              sendResponse({ session });
+            })
+            .catch(error => {
+              sendResponse({ error: error.message });
+            });
+          return true;
+        case 'discardRecordingSession':
+          this.stopRecordingSession()
+            .then(() => {
+              sendResponse({ success: true });
             })
             .catch(error => {
               sendResponse({ error: error.message });
             });
           return true;
         case 'clearTestExecutionState':
-          this.clearTestExecutionState(message.tabId || sender.tab?.id)
+          this.cancelTestExecutions(message.tabId || sender.tab?.id)
             .then(() => {
               sendResponse({ success: true });
             })
@@ -126,6 +226,40 @@ class E2EBackgroundScript {
     });
   }
 
+  // Tabs opened from a recorded or replayed tab (target=_blank links, popups,
+  // window.open) become part of the test, referred to by the order they opened in
+  setupTabTrackingListener() {
+    chrome.tabs.onCreated.addListener((tab) => {
+      if (tab.openerTabId === undefined) return;
+
+      this.trackRecordingTab(tab).catch(error => console.error('Failed to track new tab:', error));
+
+      this.activeExecutions.forEach(control => {
+        const tabs = control.execution.tabs;
+        if (tabs.includes(tab.openerTabId) && !tabs.includes(tab.id)) {
+          tabs.push(tab.id);
+          console.log(`🗂️ Replay of "${control.execution.testData.name}" opened tab ${tabs.length} (${tab.id})`);
+        }
+      });
+    });
+
+    chrome.tabs.onActivated.addListener(({ tabId }) => {
+      this.handleRecordingTabActivated(tabId).catch(error => console.error('Failed to record tab switch:', error));
+    });
+
+    // Popup windows keep their own active tab, so moving between windows is a switch too
+    chrome.windows.onFocusChanged.addListener((windowId) => {
+      if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+      chrome.tabs.query({ active: true, windowId })
+        .then(([tab]) => tab && this.handleRecordingTabActivated(tab.id))
+        .catch(error => console.error('Failed to record tab switch:', error));
+    });
+
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.handleRecordingTabRemoved(tabId).catch(error => console.error('Failed to record tab close:', error));
+    });
+  }
+
   setupCommandListener() {
     if (chrome.commands && chrome.commands.onCommand) {
       chrome.commands.onCommand.addListener((command) => {
@@ -136,6 +270,9 @@ class E2EBackgroundScript {
           case 'quick-replay':
             this.quickReplay();
             break;
+          case 'toggle-assertion-mode':
+            this.toggleAssertionMode();
+            break;
         }
       });
     }
@@ -171,10 +308,8 @@ class E2EBackgroundScript {
   async initializeStorage() {
     const defaultData = {
       e2eTests: [],
-      settings: {
-        recordingDelay: 100,
-        replayDelay: 300
-      }
+      schemaVersion: TestSchema.CURRENT_VERSION,
+      settings: this.getDefaultSettings()
     };
 
     await chrome.storage.local.set(defaultData);
@@ -183,12 +318,26 @@ class E2EBackgroundScript {
   async migrateData() {
     const result = await chrome.storage.local.get();
 
-    if (!result.settings) {
+    if (TestSchema.needsMigration(result.e2eTests)) {
+      const migratedTests = await TestSchema.migrateTests(result.e2eTests);
+      await chrome.storage.local.set({ e2eTests: migratedTests });
+      console.log(`Migrated ${migratedTests.length} tests to schema v${TestSchema.CURRENT_VERSION}`);
+    }
+
+    // Screenshots used to be kept in chrome.storage as well
+    if (result.screenshots) {
+      await chrome.storage.local.remove(['screenshots']);
+    }
+
+    if (result.schemaVersion !== TestSchema.CURRENT_VERSION) {
+      await chrome.storage.local.set({ schemaVersion: TestSchema.CURRENT_VERSION });
+    }
+
+    // Fill in settings added since the user's settings were first saved
+    const defaults = this.getDefaultSettings();
+    if (!result.settings || Object.keys(defaults).some(key => !(key in result.settings))) {
       await chrome.storage.local.set({
-        settings: {
-          recordingDelay: 100,
-          replayDelay: 300
-        }
+        settings: { ...defaults, ...result.settings }
       });
     }
   }
@@ -196,12 +345,18 @@ class E2EBackgroundScript {
   async injectContentScript(tabId) {
     try {
       await chrome.scripting.executeScript({
-        target: { tabId: tabId },
-        files: ['content.js']
+        target: { tabId: tabId, allFrames: true },
+        files: ['page-hooks.js'],
+        world: 'MAIN'
+      });
+
+      await chrome.scripting.executeScript({
+        target: { tabId: tabId, allFrames: true },
+        files: ['scroll-manager.js', 'selector-utils.js', 'content.js']
       });
 
       await chrome.scripting.insertCSS({
-        target: { tabId: tabId },
+        target: { tabId: tabId, allFrames: true },
         files: ['content.css']
       });
     } catch (error) {
@@ -216,6 +371,15 @@ class E2EBackgroundScript {
     }
   }
 
+  async toggleAssertionMode() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab) {
+      chrome.tabs.sendMessage(tab.id, { action: 'toggleAssertionMode' }, { frameId: 0 }).catch(error => {
+        console.warn('Could not toggle assertion mode:', error);
+      });
+    }
+  }
+
   async quickReplay() {
     const result = await chrome.storage.local.get(['e2eTests']);
     const tests = result.e2eTests || [];
@@ -225,10 +389,7 @@ class E2EBackgroundScript {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
       if (tab) {
-        chrome.tabs.sendMessage(tab.id, {
-          action: 'replayTest',
-          test: lastTest
-        });
+        await this.startTestExecution(tab.id, lastTest, `${lastTest.id}_${Date.now()}`);
       }
     }
   }
@@ -248,8 +409,9 @@ class E2EBackgroundScript {
     const exportData = {
       format: 'e2e-test-recorder',
       version: '1.0.0',
+      schemaVersion: TestSchema.CURRENT_VERSION,
       exportDate: new Date().toISOString(),
-      tests: tests
+      tests: await Promise.all(tests.map(test => TestSchema.inlineScreenshots(test)))
     };
 
     return exportData;
@@ -262,16 +424,22 @@ class E2EBackgroundScript {
 
     const result = await chrome.storage.local.get(['e2eTests']);
     const existingTests = result.e2eTests || [];
+    const importedTests = await TestSchema.importTests(importData.tests);
+
+    // Imported tests replace stored tests with the same ID
+    const importedIds = new Set(importedTests.map(test => test.id));
+    const keptTests = existingTests.filter(test => !importedIds.has(test.id));
 
-    const mergedTests = [...existingTests, ...importData.tests];
+    const mergedTests = [...keptTests, ...importedTests];
     await chrome.storage.local.set({ e2eTests: mergedTests });
 
-    return mergedTests.length - existingTests.length;
+    return importedTests.length;
   }
 
   async generateTestCode(test, format = 'playwright') {
     let code = '';
 
+    test = this.markExportVariables(test);
     switch (format) {
       case 'playwright':
         code = this.generatePlaywrightCode(test);
@@ -289,33 +457,117 @@ class E2EBackgroundScript {
     return code;
   }
 
+  extractedVariables(test) {
+    return test.steps
+      .filter(step => step.type === 'extract' && !step.disabled && StepVariables.isValidName(step.variable))
+      .map(step => step.variable);
+  }
+
+  // Exports fill the same fields replay does: each {{name}} there becomes a
+  // marker that toJsString() quotes as ${vars.name}; other strings keep theirs
+  markExportVariables(test) {
+    const markers = Object.fromEntries(this.extractedVariables(test).map(name => [name, `\uE000${name}\uE001`]));
+    return { ...test, steps: test.steps.map(step => StepVariables.interpolateStep(step, markers)) };
+  }
+
+  readsExportVariables(step) {
+    return StepVariables.FIELDS.some(field => JSON.stringify(step[field] ?? '').includes('\uE000'));
+  }
+
   generatePlaywrightCode(test) {
     let code = `// Generated by E2E Test Recorder\n`;
     code += `// Test: ${test.name}\n`;
     code += `// Generated on: ${new Date().toISOString()}\n\n`;
     code += `import { test, expect } from '@playwright/test';\n\n`;
-    code += `test('${test.name}', async ({ page }) => {\n`;
+    const usesTabs = test.steps.some(step => step.type === 'switchTab' || step.type === 'closeTab');
+    code += `test('${test.name}', async ({ ${usesTabs ? 'page, context' : 'page'} }) => {\n`;
+    code += this.playwrightDialogHandler(this.followingDialogs(test.steps, -1));
+    if (this.extractedVariables(test).length > 0) {
+      code += `  const vars = {};\n`;
+    }
     code += `  await page.goto('${test.url}');\n\n`;
 
+    // Tab n (counting from 0) is held in page, page1, page2...
+    let pageVar = 'page';
+    const openedTabs = new Set([0]);
+
     test.steps.forEach((step, index) => {
+      if (step.disabled) {
+        code += `  // Step ${index + 1} (disabled)\n\n`;
+        return;
+      }
       code += `  // Step ${index + 1}\n`;
+      if (step.type !== 'dialog') {
+        code += this.playwrightDialogHandler(this.followingDialogs(test.steps, index), pageVar);
+      }
 
       switch (step.type) {
+        case 'navigation':
+          if (step.action === 'goto') {
+            code += `  await ${pageVar}.goto(${this.toJsString(step.toUrl)});\n`;
+          } else if (step.action === 'route') {
+            code += `  await ${pageVar}.waitForURL(${this.toJsString(step.toUrl)});\n`;
+          }
+          break;
+        case 'switchTab': {
+          pageVar = this.playwrightPageVar(step.tabIndex);
+          if (!openedTabs.has(step.tabIndex)) {
+            openedTabs.add(step.tabIndex);
+            code += `  const ${pageVar} = context.pages()[${step.tabIndex}] || await context.waitForEvent('page');\n`;
+            code += `  await ${pageVar}.waitForLoadState();\n`;
+          }
+          code += `  await ${pageVar}.bringToFront();\n`;
+          break;
+        }
+        case 'closeTab':
+          code += `  await ${this.playwrightPageVar(step.tabIndex)}.close();\n`;
+          break;
+        case 'dialog':
+          code += `  // ${step.dialogType} dialog: answered by the handler registered before the step that raised it\n`;
+          break;
+        case 'wait':
+          code += this.generatePlaywrightWait(step, pageVar);
+          break;
         case 'click':
-          code += `  await page.click('${step.selector}');\n`;
+          code += `  await ${this.playwrightLocator(step.selector, this.playwrightFrame(step, pageVar))}.click();\n`;
           break;
         case 'input':
-          code += `  await page.fill('${step.selector}', '${step.value}');\n`;
+          if (step.typeDelay !== undefined) {
+            code += `  await ${this.playwrightLocator(step.selector, this.playwrightFrame(step, pageVar))}.clear();\n`;
+            code += `  await ${this.playwrightLocator(step.selector, this.playwrightFrame(step, pageVar))}.pressSequentially(${this.toJsString(step.value)}, { delay: ${Number(step.typeDelay)} });\n`;
+          } else {
+            code += `  await ${this.playwrightLocator(step.selector, this.playwrightFrame(step, pageVar))}.fill(${this.toJsString(step.value)});\n`;
+          }
           break;
         case 'change':
           if (typeof step.value === 'boolean') {
-            code += `  await page.setChecked('${step.selector}', ${step.value});\n`;
+            code += `  await ${this.playwrightLocator(step.selector, this.playwrightFrame(step, pageVar))}.setChecked(${step.value});\n`;
           } else {
-            code += `  await page.selectOption('${step.selector}', '${step.value}');\n`;
+            code += `  await ${this.playwrightLocator(step.selector, this.playwrightFrame(step, pageVar))}.selectOption(${this.toJsString(step.value)});\n`;
           }
           break;
         case 'keypress':
-          code += `  await page.press('${step.selector}', '${step.key}');\n`;
+          code += `  await ${this.playwrightLocator(step.selector, this.playwrightFrame(step, pageVar))}.press(${this.toJsString(this.keyCombo(step))});\n`;
+          break;
+        case 'hover':
+          code += `  await ${this.playwrightLocator(step.selector, this.playwrightFrame(step, pageVar))}.hover();\n`;
+          break;
+        case 'dblclick':
+          code += `  await ${this.playwrightLocator(step.selector, this.playwrightFrame(step, pageVar))}.dblclick();\n`;
+          break;
+        case 'contextmenu':
+          code += `  await ${this.playwrightLocator(step.selector, this.playwrightFrame(step, pageVar))}.click({ button: 'right' });\n`;
+          break;
+        case 'drag': {
+          const frame = this.playwrightFrame(step, pageVar);
+          code += `  await ${this.playwrightLocator(step.selector, frame)}.dragTo(${this.playwrightLocator(step.targetSelector, frame)});\n`;
+          break;
+        }
+        case 'assert':
+          code += this.generatePlaywrightAssertion(step, pageVar);
+          break;
+        case 'extract':
+          code += this.generatePlaywrightExtract(step, pageVar);
           break;
       }
       code += '\n';
@@ -328,31 +580,100 @@ class E2EBackgroundScript {
   generateCypressCode(test) {
     let code = `// Generated by E2E Test Recorder\n`;
     code += `// Test: ${test.name}\n`;
-    code += `// Generated on: ${new Date().toISOString()}\n\n`;
+    code += `// Generated on: ${new Date().toISOString()}\n`;
+    if (this.usesSelector(test, selector => SelectorUtils.isLocator(selector) && selector.strategy === 'role')) {
+      code += `// cy.findByRole requires @testing-library/cypress\n`;
+    }
+    if (this.usesSelector(test, selector => SelectorUtils.isXPath(selector))) {
+      code += `// cy.xpath requires the cypress-xpath plugin\n`;
+    }
+    if (test.steps.some(step => step.framePath && typeof step.framePath[0] === 'string' && !SelectorUtils.isXPath(step.framePath[0]))) {
+      code += `// cy.iframe requires the cypress-iframe plugin\n`;
+    }
+    code += `\n`;
     code += `describe('${test.name}', () => {\n`;
     code += `  it('should execute recorded steps', () => {\n`;
+    code += this.cypressDialogHandlers(this.followingDialogs(test.steps, -1));
+    if (this.extractedVariables(test).length > 0) {
+      code += `    const vars = {};\n`;
+    }
     code += `    cy.visit('${test.url}');\n\n`;
 
     test.steps.forEach((step, index) => {
+      if (step.disabled) {
+        code += `    // Step ${index + 1} (disabled)\n\n`;
+        return;
+      }
       code += `    // Step ${index + 1}\n`;
+      if (step.type !== 'dialog') {
+        code += this.cypressDialogHandlers(this.followingDialogs(test.steps, index));
+      }
+      const stepStart = code.length;
 
       switch (step.type) {
+        case 'navigation':
+          if (step.action === 'goto') {
+            code += `    cy.visit(${this.toJsString(step.toUrl)});\n`;
+          } else if (step.action === 'route') {
+            code += `    cy.url().should('eq', ${this.toJsString(step.toUrl)});\n`;
+          }
+          break;
+        case 'switchTab':
+        case 'closeTab':
+          code += `    // Cypress drives a single tab; ${step.type === 'switchTab' ? 'switch to' : 'close'} tab ${step.tabIndex + 1} has no equivalent\n`;
+          break;
+        case 'dialog':
+          code += step.dialogType === 'beforeunload' ?
+            `    // Cypress cannot answer a leave-page prompt\n` :
+            `    // ${step.dialogType} dialog: answered by the handler registered before the step that raised it\n`;
+          break;
+        case 'wait':
+          code += this.generateCypressWait(step);
+          break;
         case 'click':
-          code += `    cy.get('${step.selector}').click();\n`;
+          code += `    ${this.cypressSubject(step.selector, this.cypressFrame(step))}.click();\n`;
           break;
         case 'input':
-          code += `    cy.get('${step.selector}').type('${step.value}');\n`;
+          if (step.typeDelay !== undefined) {
+            code += `    ${this.cypressSubject(step.selector, this.cypressFrame(step))}.clear().type(${this.toJsString(step.value)}, { delay: ${Number(step.typeDelay)} });\n`;
+          } else {
+            code += `    ${this.cypressSubject(step.selector, this.cypressFrame(step))}.type(${this.toJsString(step.value)});\n`;
+          }
           break;
         case 'change':
           if (typeof step.value === 'boolean') {
-            code += `    cy.get('${step.selector}').${step.value ? 'check' : 'uncheck'}();\n`;
+            code += `    ${this.cypressSubject(step.selector, this.cypressFrame(step))}.${step.value ? 'check' : 'uncheck'}();\n`;
           } else {
-            code += `    cy.get('${step.selector}').select('${step.value}');\n`;
+            code += `    ${this.cypressSubject(step.selector, this.cypressFrame(step))}.select(${this.toJsString(step.value)});\n`;
           }
           break;
         case 'keypress':
-          code += `    cy.get('${step.selector}').type('{${step.key.toLowerCase()}}');\n`;
+          code += `    ${this.cypressSubject(step.selector, this.cypressFrame(step))}${this.cypressKeys(step)};\n`;
+          break;
+        case 'hover':
+          code += `    ${this.cypressSubject(step.selector, this.cypressFrame(step))}.trigger('mouseover');\n`;
+          break;
+        case 'dblclick':
+          code += `    ${this.cypressSubject(step.selector, this.cypressFrame(step))}.dblclick();\n`;
+          break;
+        case 'contextmenu':
+          code += `    ${this.cypressSubject(step.selector, this.cypressFrame(step))}.rightclick();\n`;
           break;
+        case 'drag':
+          code += this.generateCypressDrag(step);
+          break;
+        case 'assert':
+          code += this.generateCypressAssertion(step);
+          break;
+        case 'extract':
+          code += this.generateCypressExtract(step);
+          break;
+      }
+      // Commands are queued before any of them runs, so a step reading vars
+      // is queued from cy.then(), after the extract steps have run
+      if (this.readsExportVariables(step)) {
+        const stepCode = code.slice(stepStart).replace(/^(?=.)/gm, '  ');
+        code = `${code.slice(0, stepStart)}    cy.then(() => {\n${stepCode}    });\n`;
       }
       code += '\n';
     });
@@ -365,36 +686,120 @@ class E2EBackgroundScript {
     let code = `// Generated by E2E Test Recorder\n`;
     code += `// Test: ${test.name}\n`;
     code += `// Generated on: ${new Date().toISOString()}\n\n`;
-    code += `const { Builder, By, Key, until } = require('selenium-webdriver');\n\n`;
+    code += `const { Builder, By, Key, until } = require('selenium-webdriver');\n`;
+    if (test.steps.some(step => step.type === 'assert' || (step.type === 'dialog' && step.dialogType !== 'beforeunload'))) {
+      code += `const assert = require('assert');\n`;
+    }
+    code += `\n`;
     code += `async function ${test.name.replace(/[^a-zA-Z0-9]/g, '_')}() {\n`;
     code += `  let driver = await new Builder().forBrowser('chrome').build();\n`;
     code += `  try {\n`;
-    code += `    await driver.get('${test.url}');\n\n`;
+    if (this.extractedVariables(test).length > 0) {
+      code += `    const vars = {};\n`;
+    }
+    code += `    await driver.get('${test.url}');\n`;
+    if (test.steps.some(step => step.type === 'switchTab' || step.type === 'closeTab')) {
+      // Window handles in the order their tabs opened, like the recorded tab indexes
+      code += `    const tabs = [await driver.getWindowHandle()];\n`;
+    }
+    code += `\n`;
+    const openedTabs = new Set([0]);
 
     test.steps.forEach((step, index) => {
+      if (step.disabled) {
+        code += `    // Step ${index + 1} (disabled)\n\n`;
+        return;
+      }
       code += `    // Step ${index + 1}\n`;
+      // WebDriver answers dialogs at the window level, and cannot switch frames while one is open
+      const inFrames = step.type !== 'dialog' && step.framePath && step.framePath.length > 0;
+      if (inFrames) {
+        code += this.seleniumEnterFrames(step);
+      }
 
       switch (step.type) {
+        case 'navigation':
+          if (step.action === 'goto') {
+            code += `    await driver.get(${this.toJsString(step.toUrl)});\n`;
+          } else if (step.action === 'route') {
+            code += `    await driver.wait(until.urlIs(${this.toJsString(step.toUrl)}), 10000);\n`;
+          }
+          break;
+        case 'switchTab':
+          if (!openedTabs.has(step.tabIndex)) {
+            openedTabs.add(step.tabIndex);
+            code += `    await driver.wait(async () => (await driver.getAllWindowHandles()).some(handle => !tabs.includes(handle)), 10000);\n`;
+            code += `    tabs[${step.tabIndex}] = (await driver.getAllWindowHandles()).find(handle => !tabs.includes(handle));\n`;
+          }
+          code += `    await driver.switchTo().window(tabs[${step.tabIndex}]);\n`;
+          break;
+        case 'dialog':
+          code += this.generateSeleniumDialog(step);
+          break;
+        case 'closeTab':
+          code += `    if ((await driver.getAllWindowHandles()).includes(tabs[${step.tabIndex}])) {\n`;
+          code += `      await driver.switchTo().window(tabs[${step.tabIndex}]);\n`;
+          code += `      await driver.close();\n`;
+          code += `    }\n`;
+          break;
+        case 'wait':
+          code += this.generateSeleniumWait(step);
+          break;
         case 'click':
-          code += `    await driver.findElement(By.css('${step.selector}')).click();\n`;
+          code += `    await ${this.seleniumElement(step.selector)}.click();\n`;
           break;
         case 'input':
-          code += `    await driver.findElement(By.css('${step.selector}')).sendKeys('${step.value}');\n`;
+          if (step.typeDelay !== undefined) {
+            code += `    {\n`;
+            code += `      const field = await ${this.seleniumElement(step.selector)};\n`;
+            code += `      await field.clear();\n`;
+            code += `      for (const character of ${this.toJsString(step.value)}) {\n`;
+            code += `        await field.sendKeys(character);\n`;
+            code += `        await driver.sleep(${Number(step.typeDelay)});\n`;
+            code += `      }\n`;
+            code += `    }\n`;
+          } else {
+            code += `    await ${this.seleniumElement(step.selector)}.sendKeys(${this.toJsString(step.value)});\n`;
+          }
           break;
         case 'change':
           if (typeof step.value === 'boolean') {
-            code += `    const checkbox = await driver.findElement(By.css('${step.selector}'));\n`;
+            code += `    const checkbox = await ${this.seleniumElement(step.selector)};\n`;
             code += `    if (await checkbox.isSelected() !== ${step.value}) {\n`;
             code += `      await checkbox.click();\n`;
             code += `    }\n`;
           } else {
-            code += `    await driver.findElement(By.css('${step.selector}')).sendKeys('${step.value}');\n`;
+            code += `    await ${this.seleniumElement(step.selector)}.sendKeys(${this.toJsString(step.value)});\n`;
           }
           break;
         case 'keypress':
-          code += `    await driver.findElement(By.css('${step.selector}')).sendKeys(Key.${step.key.toUpperCase()});\n`;
+          code += `    await ${this.seleniumElement(step.selector)}.sendKeys(${this.seleniumKeys(step)});\n`;
+          break;
+        case 'hover':
+          code += `    await driver.actions().move({ origin: await ${this.seleniumElement(step.selector)} }).perform();\n`;
+          break;
+        case 'dblclick':
+          code += `    await driver.actions().doubleClick(await ${this.seleniumElement(step.selector)}).perform();\n`;
+          break;
+        case 'contextmenu':
+          code += `    await driver.actions().contextClick(await ${this.seleniumElement(step.selector)}).perform();\n`;
+          break;
+        case 'drag':
+          if (step.dragMode === 'html5') {
+            code += `    // Chrome does not start HTML5 drag-and-drop from WebDriver actions; this may need a drag helper script\n`;
+          }
+          code += `    await driver.actions().dragAndDrop(await ${this.seleniumElement(step.selector)}, await ${this.seleniumElement(step.targetSelector)}).perform();\n`;
+          break;
+        case 'assert':
+          code += this.generateSeleniumAssertion(step);
+          break;
+        case 'extract':
+          code += this.generateSeleniumExtract(step);
           break;
       }
+      if (inFrames) {
+        code += `    await driver.switchTo().defaultContent();\n`;
+      }
       code += '\n';
     });
 
@@ -407,100 +812,1614 @@ class E2EBackgroundScript {
     return code;
   }
 
-  async updateStepScreenshot(stepNumber, newScreenshot, stepData) {
-    try {
-      console.log(`Updating screenshot for step ${stepNumber}`);
+  // Quote a recorded value as a single-quoted JavaScript string literal, or
+  // as a template literal reading vars where markExportVariables() left a marker
+  toJsString(value) {
+    const text = String(value ?? '');
+    if (text.includes('\uE000')) {
+      const escaped = text
+        .replace(/\\/g, '\\\\')
+        .replace(/`/g, '\\`')
+        .replace(/\$/g, '\\$')
+        .replace(/\n/g, '\\n');
+      return `\`${escaped.replace(/\uE000(\w+)\uE001/g, '${vars.$1}')}\``;
+    }
+    return `'${text
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "\\'")
+      .replace(/\n/g, '\\n')}'`;
+  }
 
-      // Get all tests from storage
-      const result = await chrome.storage.local.get(['e2eTests']);
-      const tests = result.e2eTests || [];
+  escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
 
-      // Find and update the test that contains this step
-      let updated = false;
-      for (let test of tests) {
-        for (let i = 0; i < test.steps.length; i++) {
-          if (test.steps[i].timestamp === stepData.timestamp &&
-              test.steps[i].type === stepData.type &&
-              test.steps[i].selector === stepData.selector) {
-            // Update the screenshot for this step
-            test.steps[i].screenshot = newScreenshot;
-            updated = true;
-            console.log(`Updated screenshot in test "${test.name}", step ${i + 1}`);
-            break;
-          }
-        }
-        if (updated) break;
+  // A RegExp literal for an assert step's operator; equals is left to the caller
+  toJsRegExp(step) {
+    const pattern = step.operator === 'contains' ? this.escapeRegExp(step.expected) : String(step.expected);
+    return `new RegExp(${this.toJsString(pattern)})`;
+  }
+
+  textLocatorXPath(locator) {
+    const tag = locator.tag && locator.tag !== '*' ? locator.tag : '*';
+    const text = SelectorUtils.toXPathLiteral(SelectorUtils.normalizeText(locator.text));
+    const condition = locator.exact ? `normalize-space(.)=${text}` : `contains(normalize-space(.), ${text})`;
+
+    // Without a tag every ancestor matches too; keep only the innermost element, as replay does
+    return tag === '*' ?
+      `//*[${condition} and not(.//*[${condition}])]` :
+      `//${tag}[${condition}]`;
+  }
+
+  // Role locators have no XPath equivalent; this matches the explicit role or
+  // the tags that carry it implicitly, named by text, aria-label or value
+  roleLocatorXPath(locator) {
+    const tags = (SelectorUtils.ROLE_TAGS[locator.role] || []).map(tag => `self::${tag}`);
+    const roleTest = [...tags, `@role=${SelectorUtils.toXPathLiteral(locator.role)}`].join(' or ');
+    if (!locator.name) return `//*[${roleTest}]`;
+
+    const name = SelectorUtils.toXPathLiteral(SelectorUtils.normalizeText(locator.name));
+    const nameTest = ['normalize-space(.)', '@aria-label', '@value', '@alt', '@title', '@placeholder']
+      .map(source => `${source}=${name}`)
+      .join(' or ');
+    return `//*[(${roleTest}) and (${nameTest})]`;
+  }
+
+  usesSelector(test, predicate) {
+    return test.steps.some(step =>
+      [...(step.framePath || []), step.selector, step.targetSelector]
+        .flatMap(selector => SelectorUtils.parts(selector)).some(predicate));
+  }
+
+  // Per-framework expressions for a recorded selector (CSS string or locator object).
+  // Playwright locators pierce open shadow roots, so a shadow path is a plain chain
+  playwrightLocator(selector, scope = 'page') {
+    if (SelectorUtils.isShadowPath(selector)) {
+      return selector.path.reduce((locator, part) => this.playwrightLocator(part, locator), scope);
+    }
+    if (SelectorUtils.isLocator(selector) && selector.strategy === 'role') {
+      const options = selector.name ? `, { name: ${this.toJsString(selector.name)}, exact: true }` : '';
+      return `${scope}.getByRole(${this.toJsString(selector.role)}${options})`;
+    }
+    if (SelectorUtils.isLocator(selector) && selector.strategy === 'text') {
+      // getByText cannot be limited to a tag, and replay only looks at that tag
+      if (selector.tag && selector.tag !== '*') {
+        const text = selector.exact ?
+          `new RegExp(${this.toJsString(`^${this.escapeRegExp(SelectorUtils.normalizeText(selector.text))}$`)})` :
+          this.toJsString(selector.text);
+        return `${scope}.locator(${this.toJsString(selector.tag)}).filter({ hasText: ${text} })`;
       }
+      return `${scope}.getByText(${this.toJsString(selector.text)}${selector.exact ? ', { exact: true }' : ''})`;
+    }
+    return `${scope}.locator(${this.toJsString(selector)})`;
+  }
 
-      if (updated) {
-        // Save the updated tests back to storage
-        await chrome.storage.local.set({ e2eTests: tests });
-        console.log('Test data saved with updated screenshot');
-      } else {
-        console.warn('Could not find matching step to update');
+  // Cypress needs .shadow() to step into each host's shadow root; a timeout
+  // is passed to every query in the chain
+  cypressSubject(selector, scope = 'cy', timeout) {
+    const options = timeout ? `, { timeout: ${timeout} }` : '';
+    if (SelectorUtils.isShadowPath(selector)) {
+      return selector.path.reduce((subject, part, index) =>
+        this.cypressSubject(part, index === 0 ? subject : `${subject}.shadow()`, timeout), scope);
+    }
+    if (SelectorUtils.isLocator(selector) && selector.strategy === 'text') {
+      const tag = selector.tag && selector.tag !== '*' ? `${this.toJsString(selector.tag)}, ` : '';
+      const text = selector.exact ?
+        `new RegExp(${this.toJsString(`^${this.escapeRegExp(SelectorUtils.normalizeText(selector.text))}$`)})` :
+        this.toJsString(selector.text);
+      return `${scope}.contains(${tag}${text}${options})`;
+    }
+    if (SelectorUtils.isLocator(selector) && selector.strategy === 'role') {
+      const roleOptions = [
+        selector.name ? `name: ${this.toJsString(selector.name)}` : '',
+        timeout ? `timeout: ${timeout}` : ''
+      ].filter(Boolean).join(', ');
+      return `${scope}.findByRole(${this.toJsString(selector.role)}${roleOptions ? `, { ${roleOptions} }` : ''})`;
+    }
+    if (SelectorUtils.isXPath(selector)) {
+      return `${scope}.xpath(${this.toJsString(SelectorUtils.xpathExpression(selector))}${options})`;
+    }
+    return scope === 'cy' ?
+      `cy.get(${this.toJsString(selector)}${options})` :
+      `${scope}.find(${this.toJsString(selector)}${options})`;
+  }
+
+  // Enabled dialog steps directly after steps[index]: the dialogs that step raises
+  followingDialogs(steps, index) {
+    const dialogs = [];
+    for (let i = index + 1; i < steps.length && (steps[i].type === 'dialog' || steps[i].disabled); i++) {
+      if (!steps[i].disabled) dialogs.push(steps[i]);
+    }
+    return dialogs;
+  }
+
+  // Playwright needs a dialog handler in place before the action that opens
+  // the dialog; each handler registers the next for a chain of dialogs
+  playwrightDialogHandler(dialogs, page = 'page', indent = '  ') {
+    if (dialogs.length === 0) return '';
+    const [step, ...rest] = dialogs;
+
+    let code = `${indent}${page}.once('dialog', async dialog => {\n`;
+    code += `${indent}  expect(dialog.type()).toBe(${this.toJsString(step.dialogType)});\n`;
+    if (step.dialogType !== 'beforeunload') {
+      code += `${indent}  expect(dialog.message()).toBe(${this.toJsString(step.message ?? '')});\n`;
+    }
+    code += this.playwrightDialogHandler(rest, page, `${indent}  `);
+    if (step.response === 'dismiss') {
+      code += `${indent}  await dialog.dismiss();\n`;
+    } else {
+      code += `${indent}  await dialog.accept(${step.dialogType === 'prompt' ? this.toJsString(step.promptText ?? '') : ''});\n`;
+    }
+    code += `${indent}});\n`;
+    return code;
+  }
+
+  // Cypress answers alert and confirm through events, registered when the
+  // command queue reaches them; it has no event for prompt, so that is stubbed
+  cypressDialogHandlers(dialogs) {
+    return dialogs.map(step => {
+      const message = this.toJsString(step.message ?? '');
+      switch (step.dialogType) {
+        case 'alert':
+          return `    cy.then(() => { cy.once('window:alert', text => expect(text).to.equal(${message})); });\n`;
+        case 'confirm':
+          return `    cy.then(() => { cy.once('window:confirm', text => { expect(text).to.equal(${message}); return ${step.response !== 'dismiss'}; }); });\n`;
+        case 'prompt':
+          return `    cy.window().then(win => cy.stub(win, 'prompt').withArgs(${message}).returns(${step.response === 'dismiss' ? 'null' : this.toJsString(step.promptText ?? '')}));\n`;
+        default:
+          return '';
       }
+    }).join('');
+  }
 
-    } catch (error) {
-      console.error('Failed to update step screenshot:', error);
-      throw error;
+  // Playwright's notation for a key press: "Control+Shift+K"
+  keyCombo(step) {
+    const key = step.key === ' ' ? 'Space' : step.key;
+    return [...(step.modifiers || []), key].join('+');
+  }
+
+  // cy.type() knows a fixed set of special keys; anything else is triggered
+  cypressKeys(step) {
+    const special = {
+      Enter: 'enter', Escape: 'esc', Backspace: 'backspace', Delete: 'del', Insert: 'insert',
+      ArrowUp: 'upArrow', ArrowDown: 'downArrow', ArrowLeft: 'leftArrow', ArrowRight: 'rightArrow',
+      Home: 'home', End: 'end', PageUp: 'pageUp', PageDown: 'pageDown'
+    };
+    const modifiers = { Control: '{ctrl}', Alt: '{alt}', Shift: '{shift}', Meta: '{meta}' };
+
+    let key = special[step.key] ? `{${special[step.key]}}` : null;
+    if (!key && step.key.length === 1) {
+      key = step.key === '{' ? '{{}' : step.key;
     }
+    if (!key) {
+      const flags = (step.modifiers || []).map(name => `${name === 'Control' ? 'ctrl' : name.toLowerCase()}Key: true`);
+      return `.trigger('keydown', { key: ${this.toJsString(step.key)}${flags.map(flag => `, ${flag}`).join('')} })`;
+    }
+    return `.type(${this.toJsString((step.modifiers || []).map(name => modifiers[name]).join('') + key)})`;
   }
 
-  // Test execution state management
-  async saveTestExecutionState(tabId, testData, currentStepIndex, startTime) {
-    const executionState = {
-      tabId: tabId,
-      testData: testData,
-      currentStepIndex: currentStepIndex,
-      startTime: startTime,
-      timestamp: Date.now()
+  seleniumKeys(step) {
+    const special = {
+      Enter: 'ENTER', Tab: 'TAB', Escape: 'ESCAPE', Backspace: 'BACK_SPACE', Delete: 'DELETE', Insert: 'INSERT',
+      ArrowUp: 'ARROW_UP', ArrowDown: 'ARROW_DOWN', ArrowLeft: 'ARROW_LEFT', ArrowRight: 'ARROW_RIGHT',
+      Home: 'HOME', End: 'END', PageUp: 'PAGE_UP', PageDown: 'PAGE_DOWN', ' ': 'SPACE'
     };
+    let key;
+    if (special[step.key]) {
+      key = `Key.${special[step.key]}`;
+    } else if (/^F([1-9]|1[0-2])$/.test(step.key)) {
+      key = `Key.${step.key}`;
+    } else {
+      key = this.toJsString(step.key);
+    }
 
-    await chrome.storage.local.set({
-      [`testExecution_${tabId}`]: executionState
-    });
+    const modifiers = (step.modifiers || []).map(name => `Key.${name === 'Control' ? 'CONTROL' : name.toUpperCase()}`);
+    return modifiers.length > 0 ? `Key.chord(${[...modifiers, key].join(', ')})` : key;
+  }
+
+  // Cypress has no drag command: replay the events the page listens for
+  generateCypressDrag(step) {
+    const source = this.cypressSubject(step.selector, this.cypressFrame(step));
+    const target = this.cypressSubject(step.targetSelector, this.cypressFrame(step));
 
-    console.log(`💾 Saved test execution state for tab ${tabId}, step ${currentStepIndex}`);
+    if (step.dragMode === 'html5') {
+      let code = `    cy.then(() => {\n`;
+      code += `      const dataTransfer = new DataTransfer();\n`;
+      code += `      ${source}.trigger('dragstart', { dataTransfer });\n`;
+      code += `      ${target}.trigger('dragover', { dataTransfer }).trigger('drop', { dataTransfer });\n`;
+      code += `      ${source}.trigger('dragend', { dataTransfer });\n`;
+      code += `    });\n`;
+      return code;
+    }
+
+    let code = `    ${source}.trigger('pointerdown', { button: 0 }).trigger('mousedown', { button: 0 });\n`;
+    code += `    ${target}.trigger('pointermove').trigger('mousemove').trigger('pointerup').trigger('mouseup');\n`;
+    return code;
   }
 
-  async getTestExecutionState(tabId) {
-    const result = await chrome.storage.local.get([`testExecution_${tabId}`]);
-    return result[`testExecution_${tabId}`] || null;
+  generateSeleniumDialog(step) {
+    let code = `    {\n`;
+    code += `      const dialog = await driver.wait(until.alertIsPresent(), 10000);\n`;
+    if (step.dialogType !== 'beforeunload') {
+      code += `      assert.strictEqual(await dialog.getText(), ${this.toJsString(step.message ?? '')});\n`;
+    }
+    if (step.dialogType === 'prompt' && step.response !== 'dismiss') {
+      code += `      await dialog.sendKeys(${this.toJsString(step.promptText ?? '')});\n`;
+    }
+    code += `      await dialog.${step.response === 'dismiss' ? 'dismiss' : 'accept'}();\n`;
+    code += `    }\n`;
+    return code;
   }
 
-  async clearTestExecutionState(tabId) {
-    await chrome.storage.local.remove([`testExecution_${tabId}`]);
-    console.log(`🗑️ Cleared test execution state for tab ${tabId}`);
+  playwrightPageVar(tabIndex) {
+    return tabIndex === 0 ? 'page' : `page${tabIndex}`;
   }
 
-  setupTestExecutionTabListener() {
-    chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-      // Only process when page loading is complete
-      if (changeInfo.status === 'complete' && tab.url) {
-        console.log(`📄 Page load complete for tab ${tabId}: ${tab.url}`);
-
-        // Check if there's a pending test execution for this tab
-        const executionState = await this.getTestExecutionState(tabId);
-
-        if (executionState) {
-          console.log(`🔄 Found pending test execution for tab ${tabId}, attempting to resume...`);
-
-          // Wait a bit for content script to be ready
-          setTimeout(async () => {
-            try {
-              // Send resume message to content script
-              await chrome.tabs.sendMessage(tabId, {
-                action: 'resumeTest',
-                executionState: executionState
-              });
-            } catch (error) {
-              console.error(`Failed to resume test in tab ${tabId}:`, error);
-              // If content script is not ready, it will check for pending state on init
-            }
-          }, 1000);
-        }
-      }
-    });
+  // Scope for a step recorded inside iframes: a FrameLocator chain
+  playwrightFrame(step, page = 'page') {
+    return (step.framePath || []).reduce((scope, frame) =>
+      typeof frame === 'string' ?
+        `${scope}.frameLocator(${this.toJsString(frame)})` :
+        `${this.playwrightLocator(frame, scope)}.contentFrame()`, page);
+  }
+
+  // Scope for a step recorded inside iframes: the innermost frame's body, wrapped
+  cypressFrame(step) {
+    return (step.framePath || []).reduce((scope, frame) =>
+      scope === 'cy' && typeof frame === 'string' && !SelectorUtils.isXPath(frame) ?
+        `cy.iframe(${this.toJsString(frame)})` :
+        `${this.cypressSubject(frame, scope)}.its('0.contentDocument.body').should('not.be.empty').then(cy.wrap)`, 'cy');
+  }
+
+  // Switch into each recorded frame in turn; the step switches back to the top afterwards
+  seleniumEnterFrames(step) {
+    return (step.framePath || [])
+      .map(frame => `    await driver.switchTo().frame(await ${this.seleniumElement(frame)});\n`)
+      .join('');
+  }
+
+  // Selenium reaches into a shadow root with getShadowRoot(), one host at a time
+  seleniumElement(selector) {
+    const [first, ...rest] = SelectorUtils.parts(selector);
+    return rest.reduce(
+      (element, part) => `(await (await ${element}).getShadowRoot()).findElement(${this.seleniumBy(part)})`,
+      `driver.findElement(${this.seleniumBy(first)})`
+    );
+  }
+
+  seleniumElements(selector) {
+    const parts = SelectorUtils.parts(selector);
+    const target = this.seleniumBy(parts[parts.length - 1]);
+    if (parts.length === 1) {
+      return `driver.findElements(${target})`;
+    }
+    const host = this.seleniumElement({ strategy: 'shadow', path: parts.slice(0, -1) });
+    return `(await (await ${host}).getShadowRoot()).findElements(${target})`;
+  }
+
+  seleniumBy(selector) {
+    if (SelectorUtils.isLocator(selector) && selector.strategy === 'text') {
+      return `By.xpath(${this.toJsString(this.textLocatorXPath(selector))})`;
+    }
+    if (SelectorUtils.isLocator(selector) && selector.strategy === 'role') {
+      return `By.xpath(${this.toJsString(this.roleLocatorXPath(selector))})`;
+    }
+    if (SelectorUtils.isXPath(selector)) {
+      return `By.xpath(${this.toJsString(SelectorUtils.xpathExpression(selector))})`;
+    }
+    return `By.css(${this.toJsString(selector)})`;
+  }
+
+  generatePlaywrightAssertion(step, page = 'page') {
+    const locator = this.playwrightLocator(step.selector, this.playwrightFrame(step, page));
+    const expected = step.operator === 'equals' || !step.operator ?
+      this.toJsString(step.expected) :
+      this.toJsRegExp(step);
+
+    switch (step.assertion) {
+      case 'text':
+        return step.operator === 'contains' ?
+          `  await expect(${locator}).toContainText(${this.toJsString(step.expected)});\n` :
+          `  await expect(${locator}).toHaveText(${expected});\n`;
+      case 'visible':
+        return `  await expect(${locator}).toBeVisible();\n`;
+      case 'hidden':
+        return `  await expect(${locator}).toBeHidden();\n`;
+      case 'value':
+        return `  await expect(${locator}).toHaveValue(${expected});\n`;
+      case 'attribute':
+        return `  await expect(${locator}).toHaveAttribute(${this.toJsString(step.attribute)}, ${expected});\n`;
+      case 'url':
+        return `  await expect(${page}).toHaveURL(${expected});\n`;
+      case 'count':
+        return `  await expect(${locator}).toHaveCount(${Number(step.expected)});\n`;
+      default:
+        return `  // Unsupported assertion: ${step.assertion}\n`;
+    }
+  }
+
+  generateCypressAssertion(step) {
+    const subject = this.cypressSubject(step.selector, this.cypressFrame(step));
+    const expected = this.toJsString(step.expected);
+    const chainer = { contains: 'contain', matches: 'match' }[step.operator] || 'eq';
+    const matcher = step.operator === 'matches' ? this.toJsRegExp(step) : expected;
+
+    switch (step.assertion) {
+      case 'text':
+        if (step.operator === 'matches') return `    ${subject}.invoke('text').should('match', ${matcher});\n`;
+        return `    ${subject}.should('${step.operator === 'contains' ? 'contain.text' : 'have.text'}', ${expected});\n`;
+      case 'visible':
+        return `    ${subject}.should('be.visible');\n`;
+      case 'hidden':
+        return `    ${subject}.should('not.be.visible');\n`;
+      case 'value':
+        return `    ${subject}.invoke('val').should('${chainer}', ${matcher});\n`;
+      case 'attribute':
+        return `    ${subject}.invoke('attr', ${this.toJsString(step.attribute)}).should('${chainer}', ${matcher});\n`;
+      case 'url':
+        return `    cy.url().should('${chainer === 'contain' ? 'include' : chainer}', ${matcher});\n`;
+      case 'count':
+        return `    ${subject}.should('have.length', ${Number(step.expected)});\n`;
+      default:
+        return `    // Unsupported assertion: ${step.assertion}\n`;
+    }
+  }
+
+  generateSeleniumAssertion(step) {
+    const element = this.seleniumElement(step.selector);
+    const compare = (actual) => {
+      switch (step.operator) {
+        case 'contains':
+          return `    assert.ok((${actual}).includes(${this.toJsString(step.expected)}));\n`;
+        case 'matches':
+          return `    assert.match(${actual}, ${this.toJsRegExp(step)});\n`;
+        default:
+          return `    assert.strictEqual(${actual}, ${this.toJsString(step.expected)});\n`;
+      }
+    };
+
+    switch (step.assertion) {
+      case 'text':
+        return compare(`await ${element}.getText()`);
+      case 'visible':
+        return `    assert.ok(await ${element}.isDisplayed());\n`;
+      case 'hidden':
+        return `    for (const el of await ${this.seleniumElements(step.selector)}) assert.ok(!(await el.isDisplayed()));\n`;
+      case 'value':
+        return compare(`await ${element}.getAttribute('value')`);
+      case 'attribute':
+        return compare(`await ${element}.getAttribute(${this.toJsString(step.attribute)})`);
+      case 'url':
+        return compare('await driver.getCurrentUrl()');
+      case 'count':
+        return `    assert.strictEqual((await ${this.seleniumElements(step.selector)}).length, ${Number(step.expected)});\n`;
+      default:
+        return `    // Unsupported assertion: ${step.assertion}\n`;
+    }
+  }
+
+  // An extract step's URL pattern keeps its first capture group, or the whole match without one
+  extractGroup(step) {
+    return new RegExp(`${step.pattern}|`).exec('').length > 1 ? 1 : 0;
+  }
+
+  // Names come from stored tests, so one that is not an identifier is quoted
+  exportVariableTarget(name) {
+    return StepVariables.isValidName(name) ? `vars.${name}` : `vars[${this.toJsString(name)}]`;
+  }
+
+  generatePlaywrightExtract(step, page = 'page') {
+    const target = this.exportVariableTarget(step.variable);
+    if (step.source === 'url') {
+      return `  ${target} = ${page}.url().match(new RegExp(${this.toJsString(step.pattern)}))[${this.extractGroup(step)}];\n`;
+    }
+
+    const locator = this.playwrightLocator(step.selector, this.playwrightFrame(step, page));
+    switch (step.source) {
+      case 'value':
+        return `  ${target} = await ${locator}.inputValue();\n`;
+      case 'attribute':
+        return `  ${target} = (await ${locator}.getAttribute(${this.toJsString(step.attribute)})) ?? '';\n`;
+      default:
+        return `  ${target} = (await ${locator}.textContent()).trim();\n`;
+    }
+  }
+
+  generateCypressExtract(step) {
+    const target = this.exportVariableTarget(step.variable);
+    if (step.source === 'url') {
+      return `    cy.url().then(url => { ${target} = url.match(new RegExp(${this.toJsString(step.pattern)}))[${this.extractGroup(step)}]; });\n`;
+    }
+
+    const subject = this.cypressSubject(step.selector, this.cypressFrame(step));
+    switch (step.source) {
+      case 'value':
+        return `    ${subject}.invoke('val').then(value => { ${target} = value; });\n`;
+      case 'attribute':
+        return `    ${subject}.invoke('attr', ${this.toJsString(step.attribute)}).then(value => { ${target} = value ?? ''; });\n`;
+      default:
+        return `    ${subject}.invoke('text').then(text => { ${target} = text.trim(); });\n`;
+    }
+  }
+
+  generateSeleniumExtract(step) {
+    const target = this.exportVariableTarget(step.variable);
+    if (step.source === 'url') {
+      return `    ${target} = (await driver.getCurrentUrl()).match(new RegExp(${this.toJsString(step.pattern)}))[${this.extractGroup(step)}];\n`;
+    }
+
+    const element = this.seleniumElement(step.selector);
+    switch (step.source) {
+      case 'value':
+        return `    ${target} = await ${element}.getAttribute('value');\n`;
+      case 'attribute':
+        return `    ${target} = (await ${element}.getAttribute(${this.toJsString(step.attribute)})) ?? '';\n`;
+      default:
+        return `    ${target} = await ${element}.getText();\n`;
+    }
+  }
+
+  // Wait steps default to a fixed delay; the other conditions are polled
+  generatePlaywrightWait(step, page = 'page') {
+    const timeout = step.timeout ? `, timeout: ${step.timeout}` : '';
+    const options = step.timeout ? `, { timeout: ${step.timeout} }` : '';
+    const scope = this.playwrightFrame(step, page);
+
+    switch (step.condition || 'delay') {
+      case 'present':
+        return `  await ${this.playwrightLocator(step.selector, scope)}.first().waitFor({ state: 'visible'${timeout} });\n`;
+      case 'absent':
+        return `  await ${this.playwrightLocator(step.selector, scope)}.first().waitFor({ state: 'hidden'${timeout} });\n`;
+      case 'text':
+        return `  await ${scope}.getByText(${this.toJsString(step.text)}).first().waitFor({ state: 'visible'${timeout} });\n`;
+      case 'url':
+        return `  await ${page}.waitForURL(${this.urlPatternRegExp(step.urlPattern)}${options});\n`;
+      case 'networkIdle': {
+        const note = this.networkIdleTime(step) !== 500 ?
+          `  // Playwright's networkidle waits for 500ms without requests (recorded: ${this.networkIdleTime(step)}ms)\n` : '';
+        return `${note}  await ${page}.waitForLoadState('networkidle'${options});\n`;
+      }
+      default:
+        return `  await ${page}.waitForTimeout(${Number(step.delay) || 0});\n`;
+    }
+  }
+
+  generateCypressWait(step) {
+    const options = step.timeout ? `, { timeout: ${step.timeout} }` : '';
+
+    switch (step.condition || 'delay') {
+      case 'present':
+        return `    ${this.cypressSubject(step.selector, this.cypressFrame(step), step.timeout)}.first().should('be.visible');\n`;
+      case 'absent':
+        // not.be.visible fails on elements that are gone; this passes for both
+        return `    ${this.cypressSubject(step.selector, this.cypressFrame(step), step.timeout)}` +
+          `.should($els => expect($els.first().filter(':visible')).to.have.length(0));\n`;
+      case 'text':
+        return `    ${this.cypressFrame(step)}.contains(${this.toJsString(step.text)}${options});\n`;
+      case 'url':
+        return `    cy.url(${step.timeout ? `{ timeout: ${step.timeout} }` : ''}).should('match', ${this.urlPatternRegExp(step.urlPattern)});\n`;
+      case 'networkIdle':
+        return `    // Cypress has no network-idle wait; cy.intercept() the requests and cy.wait() on their aliases instead\n` +
+          `    cy.wait(${this.networkIdleTime(step)});\n`;
+      default:
+        return `    cy.wait(${Number(step.delay) || 0});\n`;
+    }
+  }
+
+  generateSeleniumWait(step) {
+    const timeout = step.timeout || 10000;
+    // The first match, as in replay and the other exports
+    const firstVisible = `(await (await ${this.seleniumElements(step.selector)})[0]?.isDisplayed()) === true`;
+
+    switch (step.condition || 'delay') {
+      case 'present':
+        return `    await driver.wait(async () => ${firstVisible}, ${timeout});\n`;
+      case 'absent':
+        return `    await driver.wait(async () => !(${firstVisible}), ${timeout});\n`;
+      case 'text':
+        return `    await driver.wait(async () => (await driver.findElement(By.css('body')).getText()).includes(${this.toJsString(step.text)}), ${timeout});\n`;
+      case 'url':
+        return `    await driver.wait(until.urlMatches(${this.urlPatternRegExp(step.urlPattern)}), ${timeout});\n`;
+      case 'networkIdle':
+        return `    // WebDriver cannot see pending requests; this only pauses for the idle time\n` +
+          `    await driver.sleep(${this.networkIdleTime(step)});\n`;
+      default:
+        return `    await driver.sleep(${Number(step.delay) || 0});\n`;
+    }
+  }
+
+  // URL patterns are globs: * stands for any run of characters, the rest is literal
+  urlPatternSource(pattern) {
+    return `^${String(pattern ?? '').split('*').map(part => this.escapeRegExp(part)).join('.*')}$`;
+  }
+
+  urlPatternRegExp(pattern) {
+    return `new RegExp(${this.toJsString(this.urlPatternSource(pattern))})`;
+  }
+
+  networkIdleTime(step) {
+    return step.idleTime ?? 500;
+  }
+
+  async updateStepScreenshot(testId, stepId, newScreenshot) {
+    try {
+      console.log(`Updating screenshot for step ${stepId} of test ${testId}`);
+
+      // Get all tests from storage
+      const result = await chrome.storage.local.get(['e2eTests']);
+      const tests = result.e2eTests || [];
+
+      // Find the step by its stable IDs
+      let updated = false;
+      const test = tests.find(t => t.id === testId);
+      const stepIndex = test ? test.steps.findIndex(step => step.id === stepId) : -1;
+
+      if (stepIndex !== -1) {
+        test.steps[stepIndex].screenshotRef = await ScreenshotStore.put(newScreenshot);
+        delete test.steps[stepIndex].screenshot;
+        updated = true;
+        console.log(`Updated screenshot in test "${test.name}", step ${stepIndex + 1}`);
+      }
+
+      if (updated) {
+        // Save the updated tests back to storage
+        await chrome.storage.local.set({ e2eTests: tests });
+        console.log('Test data saved with updated screenshot');
+
+        // The previous baseline may no longer be referenced
+        await this.collectScreenshotGarbage();
+      } else {
+        console.warn('Could not find matching step to update');
+      }
+
+    } catch (error) {
+      console.error('Failed to update step screenshot:', error);
+      throw error;
+    }
+  }
+
+  // Remove screenshot blobs that no saved test, recording or replay refers to
+  async collectScreenshotGarbage() {
+    const storage = await chrome.storage.local.get();
+    const referencedTests = [...(storage.e2eTests || [])];
+
+    if (storage.recordingSession) {
+      referencedTests.push(storage.recordingSession);
+    }
+    Object.keys(storage)
+      .filter(key => key.startsWith('testExecution_'))
+      .forEach(key => referencedTests.push(storage[key].testData));
+
+    const deletedCount = await ScreenshotStore.collectGarbage(
+      TestSchema.collectScreenshotRefs(referencedTests)
+    );
+
+    console.log(`🧹 Screenshot garbage collection removed ${deletedCount} blob(s)`);
+    return deletedCount;
+  }
+
+  // Recording session management
+  // The session lives in storage so that it outlives both page loads in the
+  // recorded tab and service worker restarts. All updates go through
+  // updateRecordingSession() to keep the step order intact.
+  updateRecordingSession(updater) {
+    const run = this.recordingQueue.then(async () => {
+      const result = await chrome.storage.local.get(['recordingSession']);
+      const session = result.recordingSession || null;
+      const { value, session: nextSession } = await updater(session);
+
+      if (nextSession) {
+        await chrome.storage.local.set({ recordingSession: nextSession });
+      } else if (session) {
+        await chrome.storage.local.remove(['recordingSession']);
+      }
+
+      return value;
+    });
+
+    this.recordingQueue = run.catch(() => {});
+    return run;
+  }
+
+  async startRecordingSession(tabId, testName, startUrl) {
+    return this.updateRecordingSession(() => {
+      const session = {
+        testName: testName,
+        tabId: tabId,
+        startUrl: startUrl,
+        startedAt: Date.now(),
+        tabs: [tabId], // Every tab in the recording, in the order they opened
+        activeTabIndex: 0,
+        pages: [{ url: startUrl, arrivedAt: Date.now() }],
+        steps: []
+      };
+
+      console.log(`🎙️ Started recording session "${testName}" in tab ${tabId}`);
+      return { value: session, session };
+    });
+  }
+
+  async getRecordingSession() {
+    const result = await chrome.storage.local.get(['recordingSession']);
+    return result.recordingSession || null;
+  }
+
+  async appendRecordedStep(tabId, step) {
+    return this.updateRecordingSession((session) => {
+      if (!session || !this.getSessionTabs(session).includes(tabId)) {
+        console.warn(`Ignoring step from tab ${tabId}: no recording session for it`);
+        return { value: null, session };
+      }
+
+      if (step.type === 'dblclick') {
+        this.foldDoubleClick(session, step);
+      }
+
+      // Typing sends an input event per keystroke; keep one step with the final value
+      const typedInto = step.type === 'input' && this.lastInputStep(session, tabId, step);
+      if (typedInto) {
+        Object.assign(typedInto, { value: step.value, timestamp: step.timestamp, scrollPosition: step.scrollPosition });
+        return { value: typedInto, session };
+      }
+
+      const recordedStep = this.pushTabStep(session, tabId, step);
+      return { value: recordedStep, session };
+    });
+  }
+
+  // A double-click arrives after the two clicks it is made of; drop them
+  foldDoubleClick(session, step) {
+    const target = this.stepTargetKey(step);
+    for (let i = 0; i < 2; i++) {
+      const last = session.steps[session.steps.length - 1];
+      if (!last || last.type !== 'click' || this.stepTargetKey(last) !== target) break;
+      session.steps.pop();
+    }
+  }
+
+  lastInputStep(session, tabId, step) {
+    const last = session.steps[session.steps.length - 1];
+    const sameTab = this.getSessionTabs(session).indexOf(tabId) === (session.activeTabIndex ?? 0);
+    return last && last.type === 'input' && sameTab && this.stepTargetKey(last) === this.stepTargetKey(step) ? last : null;
+  }
+
+  stepTargetKey(step) {
+    return [...(step.framePath || []), step.selector].map(selector => SelectorUtils.format(selector)).join(' | ');
+  }
+
+  // Sessions started before multi-tab recording only know their first tab
+  getSessionTabs(session) {
+    return session.tabs || [session.tabId];
+  }
+
+  // A step from a tab other than the active one implies the user moved there
+  pushTabStep(session, tabId, step) {
+    const tabIndex = this.getSessionTabs(session).indexOf(tabId);
+    if (tabIndex !== (session.activeTabIndex ?? 0)) {
+      session.activeTabIndex = tabIndex;
+      this.pushSessionStep(session, { type: 'switchTab', tabIndex: tabIndex, timestamp: Date.now() });
+    }
+    return this.pushSessionStep(session, step);
+  }
+
+  async trackRecordingTab(tab) {
+    return this.updateRecordingSession((session) => {
+      const tabs = session ? this.getSessionTabs(session) : [];
+      if (!tabs.includes(tab.openerTabId) || tabs.includes(tab.id)) {
+        return { value: null, session };
+      }
+
+      session.tabs = [...tabs, tab.id];
+      console.log(`🗂️ Recording "${session.testName}" follows new tab ${session.tabs.length} (${tab.id})`);
+      return { value: session.tabs.length - 1, session };
+    });
+  }
+
+  async handleRecordingTabActivated(tabId) {
+    return this.updateRecordingSession((session) => {
+      const tabIndex = session ? this.getSessionTabs(session).indexOf(tabId) : -1;
+      if (tabIndex === -1 || tabIndex === (session.activeTabIndex ?? 0)) {
+        return { value: null, session };
+      }
+
+      session.activeTabIndex = tabIndex;
+      const step = this.pushSessionStep(session, { type: 'switchTab', tabIndex: tabIndex, timestamp: Date.now() });
+      return { value: step, session };
+    });
+  }
+
+  async handleRecordingTabRemoved(tabId) {
+    return this.updateRecordingSession((session) => {
+      const tabIndex = session ? this.getSessionTabs(session).indexOf(tabId) : -1;
+      if (tabIndex === -1) {
+        return { value: null, session };
+      }
+
+      const step = this.pushSessionStep(session, { type: 'closeTab', tabIndex: tabIndex, timestamp: Date.now() });
+      // Whichever tab the user lands on next gets an explicit switchTab
+      if (session.activeTabIndex === tabIndex) {
+        session.activeTabIndex = null;
+      }
+      return { value: step, session };
+    });
+  }
+
+  pushSessionStep(session, step) {
+    const recordedStep = TestSchema.createStep({
+      ...step,
+      pageIndex: session.pages.length - 1
+    });
+
+    session.steps.push(recordedStep);
+    console.log(`📝 Recorded step ${session.steps.length} (${recordedStep.type}) for "${session.testName}"`);
+    return recordedStep;
+  }
+
+  // Called by the content script of every page loaded while recording
+  async handleRecordingPageReady(tabId, url, frameId = 0) {
+    return this.updateRecordingSession((session) => {
+      if (!session || !this.getSessionTabs(session).includes(tabId)) {
+        return { value: null, session };
+      }
+
+      // Iframes join the session but are not page transitions, and neither are
+      // loads in opened tabs: replay reaches those by repeating the steps that led there
+      if (frameId !== 0 || tabId !== session.tabId) {
+        return {
+          value: { testName: session.testName, startUrl: session.startUrl },
+          session
+        };
+      }
+
+      session.pages.push({ url: url, arrivedAt: Date.now() });
+      this.pushSessionStep(session, {
+        type: 'navigation',
+        action: 'arrived',
+        toUrl: url,
+        timestamp: Date.now()
+      });
+
+      console.log(`📄 Recording "${session.testName}" continued on page ${session.pages.length}: ${url}`);
+      return {
+        value: { testName: session.testName, startUrl: session.startUrl },
+        session
+      };
+    });
+  }
+
+  async stopRecordingSession() {
+    return this.updateRecordingSession((session) => {
+      if (session) {
+        console.log(`⏹️ Stopped recording session "${session.testName}" with ${session.steps.length} steps`);
+      }
+      return { value: session, session: null };
+    });
+  }
+
+  // Test execution state management
+  // The state is persisted before every step so that a restarted service
+  // worker can pick the run up again from resumePendingExecutions()
+  async saveTestExecutionState(execution) {
+    const executionState = {
+      ...execution,
+      timestamp: Date.now()
+    };
+
+    await chrome.storage.local.set({
+      [`testExecution_${execution.tabId}`]: executionState
+    });
+
+    console.log(`💾 Saved test execution state for tab ${execution.tabId}, step ${execution.currentStepIndex}`);
+  }
+
+  async getTestExecutionState(tabId) {
+    const result = await chrome.storage.local.get([`testExecution_${tabId}`]);
+    return result[`testExecution_${tabId}`] || null;
+  }
+
+  async clearTestExecutionState(tabId) {
+    await chrome.storage.local.remove([`testExecution_${tabId}`]);
+    console.log(`🗑️ Cleared test execution state for tab ${tabId}`);
+  }
+
+  // Replay orchestration
+  // The step loop runs here rather than in the page: each step is sent to the
+  // content script on its own and acknowledged before the next one is sent,
+  // so page loads in between only mean waiting for the next content script.
+  async startTestExecution(tabId, test, executionId) {
+    if (this.activeExecutions.has(tabId)) {
+      throw new Error('Another test is already running in this tab');
+    }
+
+    const execution = {
+      tabId: tabId,
+      tabs: [tabId], // Tabs opened during the run, indexed like the recorded ones
+      activeTabIndex: 0,
+      executionId: executionId,
+      testData: test,
+      currentStepIndex: 0,
+      variables: {}, // Set by extract steps, filled into later steps' {{name}} placeholders
+      startTime: Date.now()
+    };
+
+    await this.saveTestExecutionState(execution);
+    this.runTestExecution(execution).catch(error => console.error('Test execution crashed:', error));
+  }
+
+  async resumePendingExecutions() {
+    const storage = await chrome.storage.local.get();
+    const pendingStates = Object.keys(storage)
+      .filter(key => key.startsWith('testExecution_'))
+      .map(key => storage[key]);
+
+    for (const execution of pendingStates) {
+      try {
+        await chrome.tabs.get(execution.tabId);
+      } catch (error) {
+        // The tab is gone (e.g. after a browser restart), nothing to resume
+        await this.clearTestExecutionState(execution.tabId);
+        continue;
+      }
+
+      if (!this.activeExecutions.has(execution.tabId)) {
+        console.log(`🔄 Resuming test execution ${execution.executionId} at step ${execution.currentStepIndex + 1}`);
+        this.runTestExecution(execution).catch(error => console.error('Test execution crashed:', error));
+      }
+    }
+  }
+
+  // Saved runs that are not running here any more, after resuming failed
+  async clearStaleExecutionStates() {
+    const storage = await chrome.storage.local.get();
+    const staleKeys = Object.keys(storage)
+      .filter(key => key.startsWith('testExecution_'))
+      .filter(key => !this.activeExecutions.has(storage[key]?.tabId));
+
+    if (staleKeys.length > 0) {
+      await chrome.storage.local.remove(staleKeys);
+      console.log(`🗑️ Cleared ${staleKeys.length} stale test execution state(s)`);
+    }
+  }
+
+  async runTestExecution(execution) {
+    const { tabId, executionId } = execution;
+    const test = execution.testData;
+    const steps = test.steps || [];
+    const control = { executionId, cancelled: false, execution };
+    this.activeExecutions.set(tabId, control);
+
+    // Runs saved before multi-tab replay only have their first tab
+    execution.tabs = execution.tabs || [tabId];
+    execution.activeTabIndex = execution.activeTabIndex ?? 0;
+    execution.variables = execution.variables || {};
+
+    try {
+      const settings = await this.getSettings();
+      execution.trustedInput = settings.trustedInput;
+      if (execution.trustedInput && chrome.debugger && this.currentTabId(execution) !== null) {
+        await this.attachDebugger(this.currentTabId(execution));
+      }
+      const testTimeout = test.timeout || settings.testTimeout;
+      // startTime survives a service worker restart, so a resumed run keeps its original deadline
+      const deadline = execution.startTime + testTimeout;
+
+      for (let i = execution.currentStepIndex; i < steps.length; i++) {
+        if (control.cancelled) return;
+
+        const step = steps[i];
+        if (step.disabled) {
+          console.log(`⏭️ Skipping disabled step ${i + 1}/${steps.length}`);
+          continue;
+        }
+
+        const stepTimeout = this.resolveStepTimeout(step, test, settings);
+        const testTimedOut = `Test "${test.name}" timed out after ${testTimeout}ms during ${SelectorUtils.describeStep(step, i + 1)}`;
+
+        execution.currentStepIndex = i;
+        await this.saveTestExecutionState(execution);
+
+        this.notifyPopup({
+          action: 'testProgress',
+          testName: test.name,
+          currentStep: i + 1,
+          totalSteps: steps.length,
+          executionId: executionId
+        });
+
+        console.log(`📍 Executing step ${i + 1}/${steps.length}: ${step.type} (timeout ${stepTimeout}ms)`);
+        const response = await this.withDeadline(
+          this.executeStepInTab(execution, step, i + 1, steps.length, stepTimeout),
+          deadline,
+          testTimedOut
+        );
+
+        if (response && response.healed) {
+          execution.healedSteps = [...(execution.healedSteps || []), { ...response.healed, stepNumber: i + 1 }];
+          await this.recordHealedSelector(test.id, response.healed);
+        }
+
+        // Saved with the step below, so later pages of the run still have it
+        if (response && response.variable) {
+          execution.variables[response.variable.name] = response.variable.value;
+        }
+
+        if (control.cancelled) return;
+
+        // Mark the step done before waiting, so a resume never repeats it
+        execution.currentStepIndex = i + 1;
+        await this.saveTestExecutionState(execution);
+
+        await this.delay(settings.replayDelay);
+        if (this.currentTabId(execution) !== null) {
+          await this.withDeadline(
+            this.waitForStepPageLoad(this.currentTabId(execution), step, i + 1, stepTimeout),
+            deadline,
+            testTimedOut
+          );
+        }
+      }
+
+      await this.finishTestExecution(execution, null);
+    } catch (error) {
+      console.error(`💥 Test execution failed: ${error.message}`);
+      if (!control.cancelled) {
+        await this.finishTestExecution(execution, error);
+      }
+    } finally {
+      if (this.activeExecutions.get(tabId) === control) {
+        this.activeExecutions.delete(tabId);
+      }
+      await this.detachDebugger(execution.tabs);
+    }
+  }
+
+  // The tab steps currently run in; null after that tab was closed
+  currentTabId(execution) {
+    const tabId = execution.tabs[execution.activeTabIndex];
+    return tabId === undefined ? null : tabId;
+  }
+
+  async executeStepInTab(execution, step, stepNumber, totalSteps, timeout) {
+    // Values extracted by earlier steps replace their {{name}} placeholders
+    step = StepVariables.interpolateStep(step, execution.variables);
+
+    if (step.type === 'switchTab') {
+      await this.executeSwitchTabStep(execution, step, stepNumber, timeout);
+      return;
+    }
+
+    if (step.type === 'closeTab') {
+      await this.executeCloseTabStep(execution, step, timeout);
+      return;
+    }
+
+    const tabId = this.currentTabId(execution);
+    if (tabId === null) {
+      throw new Error(`${SelectorUtils.describeStep(step, stepNumber)} has no tab to run in: the active tab was closed`);
+    }
+
+    if (step.type === 'dialog') {
+      await this.executeDialogStep(tabId, step, stepNumber, timeout);
+      return;
+    }
+
+    await this.armDialogs(execution, tabId, stepNumber, timeout);
+
+    // Route changes happen inside the page; the content script waits for them
+    if (step.type === 'navigation' && step.action !== 'route') {
+      await this.executeNavigationStep(tabId, step, stepNumber, timeout);
+      return;
+    }
+
+    if (step.type === 'wait' && (step.condition || 'delay') === 'delay') {
+      await this.delay(step.delay || 0);
+      return;
+    }
+
+    if (step.type === 'wait' && step.condition === 'url') {
+      await this.waitForUrlPattern(tabId, step, stepNumber, timeout);
+      return;
+    }
+
+    const startTime = Date.now();
+    await this.waitForContentScript(tabId, timeout);
+    let frameId;
+    try {
+      frameId = await this.resolveFrameId(tabId, step.framePath, timeout);
+    } catch (error) {
+      const path = step.framePath.map(selector => SelectorUtils.format(selector)).join(' > ');
+      throw this.stepTimeoutError(error, step, stepNumber, `frame "${path}"`);
+    }
+
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tabId, {
+        action: 'executeStep',
+        step: step,
+        stepNumber: stepNumber,
+        totalSteps: totalSteps,
+        timeout: Math.max(1000, timeout - (Date.now() - startTime)),
+        testId: execution.testData.id,
+        testName: execution.testData.name,
+        executionId: execution.executionId,
+        trustedInput: !!execution.trustedInput
+      }, { frameId });
+    } catch (error) {
+      if (this.isConnectionError(error)) {
+        // The content script answered the ping, so the step was delivered;
+        // the page unloaded while acting on it (e.g. a click that navigates)
+        console.log(`🔗 Page unloaded during step ${stepNumber}, waiting for the next page`);
+        await this.waitForStepPageLoad(tabId, step, stepNumber, timeout);
+        return;
+      }
+      throw error;
+    }
+
+    if (response && response.error) {
+      throw new Error(response.error);
+    }
+    return response;
+  }
+
+  // The tab may still be opening, e.g. when the previous step clicked a target=_blank link
+  async executeSwitchTabStep(execution, step, stepNumber, timeout) {
+    const startTime = Date.now();
+    while (execution.tabs[step.tabIndex] === undefined) {
+      if (Date.now() - startTime >= timeout) {
+        throw new Error(`${SelectorUtils.describeStep(step, stepNumber)} timed out after ${timeout}ms waiting for tab ${step.tabIndex + 1} to open`);
+      }
+      await this.delay(250);
+    }
+
+    const tabId = execution.tabs[step.tabIndex];
+    execution.activeTabIndex = step.tabIndex;
+    if (execution.trustedInput && chrome.debugger) {
+      await this.attachDebugger(tabId);
+    }
+
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+    console.log(`🗂️ Switched to tab ${step.tabIndex + 1} (${tabId})`);
+  }
+
+  // Input.* commands of the DevTools protocol reach the page as real user
+  // input: isTrusted is set and :hover and :focus-visible apply. Coordinates
+  // are CSS pixels in the top frame's viewport.
+  async dispatchTrustedInput(tabId, input) {
+    if (!chrome.debugger) {
+      throw new Error('Trusted input needs the debugger permission; turn it on again in Replay Settings');
+    }
+    await this.attachDebugger(tabId);
+
+    const send = (method, params) => chrome.debugger.sendCommand({ tabId }, method, params);
+    const mouse = (type, x, y, params = {}) =>
+      send('Input.dispatchMouseEvent', { type, x, y, button: 'none', ...params });
+
+    switch (input.kind) {
+      case 'move':
+        await mouse('mouseMoved', input.x, input.y);
+        break;
+      case 'click': {
+        const button = input.button || 'left';
+        const buttons = button === 'right' ? 2 : 1;
+        await mouse('mouseMoved', input.x, input.y);
+        for (let clickCount = 1; clickCount <= (input.clickCount || 1); clickCount++) {
+          await mouse('mousePressed', input.x, input.y, { button, buttons, clickCount });
+          await mouse('mouseReleased', input.x, input.y, { button, buttons: 0, clickCount });
+        }
+        break;
+      }
+      case 'drag': {
+        await mouse('mouseMoved', input.x, input.y);
+        await mouse('mousePressed', input.x, input.y, { button: 'left', buttons: 1, clickCount: 1 });
+        const moves = 10;
+        for (let i = 1; i <= moves; i++) {
+          const x = input.x + (input.toX - input.x) * i / moves;
+          const y = input.y + (input.toY - input.y) * i / moves;
+          await mouse('mouseMoved', x, y, { button: 'left', buttons: 1 });
+          await this.delay(16);
+        }
+        await mouse('mouseReleased', input.toX, input.toY, { button: 'left', buttons: 0, clickCount: 1 });
+        break;
+      }
+      case 'key':
+        await this.dispatchTrustedKey(send, input);
+        break;
+      case 'text':
+        if (input.typeDelay === undefined) {
+          await send('Input.insertText', { text: input.text });
+        } else {
+          for (const character of input.text) {
+            await this.dispatchTrustedKey(send, { key: character, code: '', keyCode: 0 });
+            await this.delay(Number(input.typeDelay) || 0);
+          }
+        }
+        break;
+      default:
+        throw new Error(`Unknown trusted input "${input.kind}"`);
+    }
+  }
+
+  // A key that types something needs its text, or the browser presses it
+  // without inserting anything; rawKeyDown is for keys that do not
+  async dispatchTrustedKey(send, input) {
+    const modifiers = input.modifiers || [];
+    const mask = (modifiers.includes('Alt') ? 1 : 0) | (modifiers.includes('Control') ? 2 : 0) |
+                 (modifiers.includes('Meta') ? 4 : 0) | (modifiers.includes('Shift') ? 8 : 0);
+    const commandHeld = (mask & 7) !== 0;
+    const text = input.key === 'Enter' ? '\r' : (input.key.length === 1 && !commandHeld ? input.key : undefined);
+    const params = { key: input.key, code: input.code, windowsVirtualKeyCode: input.keyCode, modifiers: mask };
+
+    await send('Input.dispatchKeyEvent', { type: text ? 'keyDown' : 'rawKeyDown', ...params, text, unmodifiedText: text });
+    await send('Input.dispatchKeyEvent', { type: 'keyUp', ...params });
+  }
+
+  // Chrome shows its "being debugged" banner while attached, which resizes
+  // the viewport: tabs are attached before their first step runs, so the
+  // content script measures click points with the banner already there.
+  // Detached when the run ends
+  async attachDebugger(tabId) {
+    if (this.debuggerTabs.has(tabId)) return;
+
+    if (!this.listeningForDetach) {
+      chrome.debugger.onDetach.addListener(source => this.debuggerTabs.delete(source.tabId));
+      this.listeningForDetach = true;
+    }
+
+    try {
+      await chrome.debugger.attach({ tabId }, '1.3');
+    } catch (error) {
+      // A restarted service worker forgets tabs it attached to before
+      if (!error.message.includes('already attached')) throw error;
+    }
+    this.debuggerTabs.add(tabId);
+  }
+
+  async detachDebugger(tabIds) {
+    for (const tabId of tabIds || []) {
+      if (!this.debuggerTabs.has(tabId)) continue;
+      this.debuggerTabs.delete(tabId);
+      await chrome.debugger.detach({ tabId }).catch(error => console.warn(`Could not detach from tab ${tabId}:`, error));
+    }
+  }
+
+  // A dialog blocks the step that raises it, so the answers to the dialog
+  // steps right after this one are handed to the page before it runs
+  async armDialogs(execution, tabId, nextIndex, timeout) {
+    const steps = execution.testData.steps;
+    const dialogs = [];
+    for (let i = nextIndex; i < steps.length && (steps[i].type === 'dialog' || steps[i].disabled); i++) {
+      if (!steps[i].disabled) {
+        dialogs.push({ step: StepVariables.interpolateStep(steps[i], execution.variables), stepNumber: i + 1 });
+      }
+    }
+
+    this.observedDialogs.set(tabId, []);
+
+    // Answers the previous step did not use must not answer a later, unrecorded dialog
+    if (this.armedDialogTabs.delete(tabId)) {
+      await chrome.tabs.sendMessage(tabId, { action: 'armDialogs', dialogs: [] }).catch(error => {
+        console.warn('Could not clear armed dialog answers:', error);
+      });
+    }
+    if (dialogs.length === 0) return;
+
+    const stay = dialogs.find(({ step }) => step.dialogType === 'beforeunload' && step.response === 'dismiss');
+    if (stay) {
+      throw new Error(`${SelectorUtils.describeStep(stay.step, stay.stepNumber)} cannot be replayed: a script cannot answer a leave-page prompt with "stay"`);
+    }
+
+    // Dialogs raised by one step all come from the frame of the first
+    await this.waitForContentScript(tabId, timeout);
+    const frameId = await this.resolveFrameId(tabId, dialogs[0].step.framePath, timeout);
+    await chrome.tabs.sendMessage(tabId, {
+      action: 'armDialogs',
+      dialogs: dialogs.map(({ step }) => ({
+        dialogType: step.dialogType,
+        response: step.response,
+        promptText: step.promptText
+      }))
+    }, { frameId });
+    this.armedDialogTabs.add(tabId);
+    console.log(`💬 Armed answers for ${dialogs.length} dialog(s) after step ${nextIndex}`);
+  }
+
+  handleDialogOpened(tabId, dialog) {
+    if (tabId === undefined || !dialog) return;
+    const dialogs = this.observedDialogs.get(tabId) || [];
+    dialogs.push(dialog);
+    this.observedDialogs.set(tabId, dialogs);
+  }
+
+  // The page has already been answered by the time this runs; check that the
+  // dialog it raised is the one that was recorded
+  async executeDialogStep(tabId, step, stepNumber, timeout) {
+    const startTime = Date.now();
+    let dialog;
+    while (!(dialog = (this.observedDialogs.get(tabId) || []).shift())) {
+      if (Date.now() - startTime >= timeout) {
+        throw new Error(`${SelectorUtils.describeStep(step, stepNumber)} timed out after ${timeout}ms waiting for a ${step.dialogType} dialog to appear`);
+      }
+      await this.delay(100);
+    }
+
+    if (dialog.dialogType !== step.dialogType) {
+      throw new Error(`${SelectorUtils.describeStep(step, stepNumber)} expected a ${step.dialogType} dialog but got ${dialog.dialogType} "${dialog.message}"`);
+    }
+    if (step.dialogType !== 'beforeunload' && dialog.message !== (step.message ?? '')) {
+      throw new Error(`${SelectorUtils.describeStep(step, stepNumber)} expected the message "${step.message}" but the dialog said "${dialog.message}"`);
+    }
+    console.log(`💬 ${step.dialogType} dialog answered with ${step.response}`);
+  }
+
+  // Popups often close themselves (an OAuth window once it has signed in), so
+  // give the page a moment to do that before closing the tab here
+  async executeCloseTabStep(execution, step, timeout) {
+    const tabId = execution.tabs[step.tabIndex];
+    if (tabId === undefined) return;
+
+    const closedByPage = await this.waitForTabRemoved(tabId, Math.min(timeout, 3000));
+    if (!closedByPage) {
+      await chrome.tabs.remove(tabId).catch(error => console.warn(`Tab ${tabId} was already gone:`, error));
+    }
+
+    if (execution.activeTabIndex === step.tabIndex) {
+      execution.activeTabIndex = null;
+    }
+    console.log(`🗂️ Closed tab ${step.tabIndex + 1} (${tabId})`);
+  }
+
+  // Resolves true once the tab is gone, false if it is still open after timeout
+  async waitForTabRemoved(tabId, timeout) {
+    try {
+      await chrome.tabs.get(tabId);
+    } catch (error) {
+      return true;
+    }
+
+    return new Promise(resolve => {
+      const listener = (removedTabId) => {
+        if (removedTabId === tabId) {
+          cleanup();
+          resolve(true);
+        }
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        resolve(false);
+      }, timeout);
+      const cleanup = () => {
+        clearTimeout(timer);
+        chrome.tabs.onRemoved.removeListener(listener);
+      };
+      chrome.tabs.onRemoved.addListener(listener);
+    });
+  }
+
+  // Find the frame whose content script reports the step's recorded frame path;
+  // iframes load after their parent, so keep looking until the step times out
+  async resolveFrameId(tabId, framePath, timeout) {
+    if (!framePath || framePath.length === 0) {
+      return 0;
+    }
+
+    const target = framePath.map(selector => SelectorUtils.format(selector)).join(' | ');
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < timeout) {
+      const frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+
+      // Ask every frame at once, since a cross-origin frame can take a couple
+      // of seconds to answer; the first one that matches wins. A frame without
+      // a content script yet (still loading, or not a web page) rejects
+      const frameId = await Promise.any(frames.filter(frame => frame.frameId !== 0).map(async (frame) => {
+        const response = await chrome.tabs.sendMessage(tabId, { action: 'getFramePath' }, { frameId: frame.frameId });
+        if (response && response.framePath &&
+            response.framePath.map(selector => SelectorUtils.format(selector)).join(' | ') === target) {
+          return frame.frameId;
+        }
+        throw new Error(`Frame ${frame.frameId} is not "${target}"`);
+      })).catch(() => null);
+
+      if (frameId !== null) {
+        return frameId;
+      }
+
+      await this.delay(250);
+    }
+
+    const error = new Error(`No frame matched "${target}" within ${timeout}ms`);
+    error.name = 'TimeoutError';
+    error.timeout = timeout;
+    throw error;
+  }
+
+  async executeNavigationStep(tabId, step, stepNumber, timeout) {
+    const tab = await chrome.tabs.get(tabId);
+
+    if (!step.toUrl || step.toUrl === tab.url) {
+      console.log(`✅ Already at target URL: ${step.toUrl || tab.url}`);
+      return;
+    }
+
+    console.log(`🔗 Navigating tab ${tabId} to: ${step.toUrl}`);
+    const loaded = this.waitForTabEvent(tabId, changeInfo => changeInfo.status === 'complete', timeout);
+    try {
+      await chrome.tabs.update(tabId, { url: step.toUrl });
+    } catch (error) {
+      loaded.cancel();
+      throw error;
+    }
+    try {
+      await loaded;
+    } catch (error) {
+      throw this.stepTimeoutError(error, step, stepNumber, `${step.toUrl} to load`);
+    }
+  }
+
+  // Watched from here rather than the content script, which a full page
+  // load on the way to the URL would unload
+  async waitForUrlPattern(tabId, step, stepNumber, timeout) {
+    const pattern = new RegExp(this.urlPatternSource(step.urlPattern));
+    const startTime = Date.now();
+    let tab = await chrome.tabs.get(tabId);
+
+    while (!pattern.test(tab.url)) {
+      if (Date.now() - startTime >= timeout) {
+        throw new Error(`${SelectorUtils.describeStep(step, stepNumber)} timed out after ${timeout}ms waiting for the URL to match "${step.urlPattern}" (still "${tab.url}")`);
+      }
+      await this.delay(100);
+      tab = await chrome.tabs.get(tabId);
+    }
+
+    console.log(`✅ URL matched ${step.urlPattern}: ${tab.url}`);
+  }
+
+  async waitForStepPageLoad(tabId, step, stepNumber, timeout) {
+    try {
+      await this.waitForTabComplete(tabId, timeout);
+    } catch (error) {
+      throw this.stepTimeoutError(error, step, stepNumber, 'the page to finish loading');
+    }
+  }
+
+  // Timeouts are resolved per step: the step's own override, then the test's, then settings
+  resolveStepTimeout(step, test, settings) {
+    return step.timeout || test.stepTimeout || settings.stepTimeout;
+  }
+
+  // Reword a tab event timeout so it names the step and what it was waiting for
+  stepTimeoutError(error, step, stepNumber, condition) {
+    if (error.name !== 'TimeoutError') return error;
+    return new Error(`${SelectorUtils.describeStep(step, stepNumber)} timed out after ${error.timeout}ms waiting for ${condition}`);
+  }
+
+  // Reject with message if promise has not settled by deadline (a timestamp)
+  withDeadline(promise, deadline, message) {
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), Math.max(0, deadline - Date.now()));
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+  }
+
+  // Keep the healed selector on the stored step for the user to accept or dismiss
+  async recordHealedSelector(testId, healed) {
+    const result = await chrome.storage.local.get(['e2eTests']);
+    const tests = result.e2eTests || [];
+    const test = tests.find(t => t.id === testId);
+    const step = test ? test.steps.find(s => s.id === healed.stepId) : null;
+
+    if (step) {
+      step.healedSelector = healed.selector;
+      await chrome.storage.local.set({ e2eTests: tests });
+      console.log(`🩹 Recorded healed selector for step ${healed.stepId}: ${healed.selector}`);
+    }
+  }
+
+  async finishTestExecution(execution, error) {
+    const { tabId, executionId } = execution;
+    const test = execution.testData;
+    const totalSteps = (test.steps || []).length;
+    const duration = Date.now() - execution.startTime;
+    const healedSteps = execution.healedSteps || [];
+
+    await this.clearTestExecutionState(tabId);
+
+    try {
+      await chrome.tabs.sendMessage(tabId, {
+        action: 'replayFinished',
+        success: !error,
+        testName: test.name,
+        totalSteps: totalSteps,
+        error: error ? error.message : null,
+        duration: duration,
+        healedSteps: healedSteps,
+        executionId: executionId
+      }, { frameId: 0 });
+    } catch (messageError) {
+      console.warn('Could not show replay result in page:', messageError);
+    }
+
+    if (error) {
+      this.notifyPopup({
+        action: 'testFailed',
+        testName: test.name,
+        error: error.message,
+        healedSteps: healedSteps,
+        executionId: executionId
+      });
+    } else {
+      console.log(`✅ Test "${test.name}" completed successfully in ${duration}ms`);
+      this.notifyPopup({
+        action: 'testCompleted',
+        testName: test.name,
+        duration: duration,
+        healedSteps: healedSteps,
+        executionId: executionId
+      });
+    }
+  }
+
+  async stopTestExecution(tabId, executionId) {
+    const control = this.activeExecutions.get(tabId);
+    if (!control || (executionId && control.executionId !== executionId)) {
+      console.log(`⚠️ No matching test running in tab ${tabId}`);
+      await this.clearTestExecutionState(tabId);
+      return false;
+    }
+
+    console.log(`🛑 Stopping test execution ${control.executionId}`);
+    control.cancelled = true;
+    this.activeExecutions.delete(tabId);
+    await this.clearTestExecutionState(tabId);
+
+    try {
+      await chrome.tabs.sendMessage(tabId, {
+        action: 'forceStopTest',
+        executionId: control.executionId
+      }, { frameId: 0 });
+    } catch (error) {
+      console.warn('Could not notify content script of force stop:', error);
+    }
+
+    this.notifyPopup({
+      action: 'testCompleted',
+      testName: 'Force Stopped',
+      executionId: control.executionId,
+      forceStopped: true
+    });
+    return true;
+  }
+
+  // Cancel the run in one tab, or every run when no tab is given
+  async cancelTestExecutions(tabId) {
+    const storage = await chrome.storage.local.get();
+    const tabIds = tabId !== undefined ? [tabId] : [
+      ...this.activeExecutions.keys(),
+      ...Object.keys(storage)
+        .filter(key => key.startsWith('testExecution_'))
+        .map(key => storage[key].tabId)
+    ];
+
+    for (const id of new Set(tabIds)) {
+      const control = this.activeExecutions.get(id);
+      if (control) {
+        control.cancelled = true;
+        this.activeExecutions.delete(id);
+      }
+      await this.clearTestExecutionState(id);
+    }
+  }
+
+  isExecutionActive(tabId, executionId) {
+    const control = this.activeExecutions.get(tabId);
+    return !!control && (!executionId || control.executionId === executionId);
+  }
+
+  async waitForContentScript(tabId, timeout = 10000) {
+    const startTime = Date.now();
+    let injected = false;
+
+    while (Date.now() - startTime < timeout) {
+      try {
+        const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' }, { frameId: 0 });
+        if (response && response.success) {
+          return;
+        }
+      } catch (error) {
+        // Not ready yet (page still loading or script not injected)
+      }
+
+      if (!injected && Date.now() - startTime > 2000) {
+        injected = true;
+        await this.injectContentScript(tabId);
+      }
+
+      await this.delay(250);
+    }
+
+    throw new Error(`Content script did not respond in tab ${tabId} after ${timeout}ms`);
+  }
+
+  async waitForTabComplete(tabId, timeout = 30000) {
+    const loaded = this.waitForTabEvent(tabId, changeInfo => changeInfo.status === 'complete', timeout);
+    let tab;
+    try {
+      tab = await chrome.tabs.get(tabId);
+    } catch (error) {
+      loaded.cancel();
+      throw error;
+    }
+
+    if (tab.status === 'complete') {
+      loaded.cancel();
+      return tab;
+    }
+    return loaded;
+  }
+
+  // Resolves with the tab on the first onUpdated event that matches
+  waitForTabEvent(tabId, predicate, timeout = 30000) {
+    let cleanup;
+    const promise = new Promise((resolve, reject) => {
+      const listener = (updatedTabId, changeInfo, tab) => {
+        if (updatedTabId === tabId && predicate(changeInfo, tab)) {
+          cleanup();
+          resolve(tab);
+        }
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        const error = new Error(`Page load timed out after ${timeout}ms`);
+        error.name = 'TimeoutError';
+        error.timeout = timeout;
+        reject(error);
+      }, timeout);
+
+      cleanup = () => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+      };
+      chrome.tabs.onUpdated.addListener(listener);
+    });
+
+    promise.cancel = () => cleanup();
+    return promise;
+  }
+
+  isConnectionError(error) {
+    return error.message.includes('Could not establish connection') ||
+           error.message.includes('Receiving end does not exist') ||
+           error.message.includes('message port closed') ||
+           error.message.includes('back/forward cache');
+  }
+
+  notifyPopup(message) {
+    // The popup may be closed; its state is restored from storage on open
+    chrome.runtime.sendMessage(message).catch(() => {});
+  }
+
+  getDefaultSettings() {
+    return {
+      recordingDelay: 100,
+      replayDelay: 300,
+      stepTimeout: 10000,
+      testTimeout: 5 * 60 * 1000,
+      trustedInput: false
+    };
+  }
+
+  async getSettings() {
+    const result = await chrome.storage.local.get(['settings']);
+    return {
+      ...this.getDefaultSettings(),
+      ...result.settings
+    };
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 }
 
@@ -13,23 +13,33 @@ class E2EContentScript {
     this.highlightedElement = null;
     this.overlay = null;
     this.isTestInterrupted = false; // Flag to interrupt test execution
+    this.isAssertionMode = false; // Clicks open the assertion menu instead of being recorded
+    this.assertionToolbar = null;
+    this.assertionMenu = null;
+    this.shadowRootListeners = new Set(); // Shadow roots given a change listener while recording
+    this.isTopFrame = window === window.top;
+    this.framePathPromise = null; // Cached frame path while recording inside an iframe
+    this.pendingHover = null; // { element, time, timer } for the element the pointer last entered
+    this.pointerDrag = null; // { element, x, y } from pointerdown until pointerup
+    this.html5Drag = null; // Source element of an HTML5 drag in progress
+    this.suppressClick = false; // Set for the click that ends a pointer drag
+    this.trustedInput = false; // Replay through chrome.debugger rather than synthetic events
     this.settings = {
       recordingDelay: 100,
-      replayDelay: 300
+      replayDelay: 300,
+      stepTimeout: 10000
     };
     this.init();
   }
 
   async init() {
     this.setupMessageListener();
+    window.addEventListener('message', this.handleFramePathRequest);
+    window.addEventListener('message', this.handleFrameOffsetRequest);
+    window.addEventListener('e2e-recorder:dialog', this.handleDialog);
     this.createOverlay();
     await this.loadSettings();
     await this.checkRecordingState();
-
-    // Check for pending test execution after a short delay
-    setTimeout(() => {
-      this.checkPendingTestExecution();
-    }, 1500);
   }
 
   async loadSettings() {
@@ -44,13 +54,25 @@ class E2EContentScript {
   }
 
   async checkRecordingState() {
-    const result = await chrome.storage.local.get(['recordingState']);
-    const state = result.recordingState;
+    // The background owns the recording session; it tells us whether this
+    // page belongs to one and records the page transition itself
+    let session = null;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'recordingPageReady',
+        url: window.location.href
+      });
+      session = response && response.session;
+    } catch (error) {
+      console.log('Could not check recording session:', error);
+    }
 
-    if (state && state.isRecording && state.currentTest) {
+    if (session) {
       this.isRecording = true;
-      this.currentTestName = state.currentTest.name;
+      this.currentTestName = session.testName;
+      this.startUrl = session.startUrl;
       this.recordedSteps = [];
+      this.framePathPromise = null;
 
       this.overlay.textContent = `Recording: ${this.currentTestName}`;
       this.overlay.style.display = 'block';
@@ -60,40 +82,21 @@ class E2EContentScript {
     }
   }
 
-  async checkPendingTestExecution() {
-    try {
-      const response = await chrome.runtime.sendMessage({
-        action: 'getTestExecutionState'
-      });
+  setupMessageListener() {
+    // Page-level requests are answered by the top frame; every frame has a
+    // content script, and the first one to respond would win otherwise
+    const topFrameOnly = ['toggleAssertionMode', 'replayFinished', 'captureFullPageScreenshot', 'getCurrentScrollPosition'];
 
-      if (response && response.state) {
-        console.log('🔍 Found pending test execution state, resuming test...');
-        await this.resumeTest(response.state);
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!this.isTopFrame && topFrameOnly.includes(message.action)) {
+        return;
       }
-    } catch (error) {
-      // Content script might not be ready or no pending test
-      console.log('No pending test execution found or content script not ready');
-    }
-  }
 
-  setupMessageListener() {
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       switch (message.action) {
         case 'ping':
           // Simple ping to verify content script is alive and responsive
           sendResponse({ success: true, message: 'Content script is ready' });
           break;
-        case 'getReplayStatus':
-          // Check current replay status
-          const isMatching = message.executionId ?
-            (this.currentExecutionId === message.executionId) : true;
-          sendResponse({
-            success: true,
-            isReplaying: this.isReplaying && isMatching,
-            currentExecutionId: this.currentExecutionId,
-            isTestInterrupted: this.isTestInterrupted
-          });
-          break;
         case 'forceReset':
           // Emergency force reset
           console.log('🚨 Received force reset command');
@@ -112,11 +115,28 @@ class E2EContentScript {
         case 'stopRecording':
           this.stopRecording();
           break;
-        case 'replayTest':
-          this.replayTest(message.test, message.executionId);
+        case 'toggleAssertionMode':
+          this.toggleAssertionMode();
+          break;
+        case 'armDialogs':
+          // Handed to page-hooks.js, which answers the dialogs in the page
+          window.dispatchEvent(new CustomEvent('e2e-recorder:arm-dialogs', {
+            detail: JSON.stringify(message.dialogs)
+          }));
+          sendResponse({ success: true });
           break;
-        case 'resumeTest':
-          this.resumeTest(message.executionState);
+        case 'getFramePath':
+          this.computeFramePath()
+            .then(framePath => sendResponse({ success: true, framePath }))
+            .catch(error => sendResponse({ error: error.message }));
+          return true;
+        case 'executeStep':
+          this.runReplayStep(message)
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => sendResponse({ error: error.message }));
+          return true; // Keep message channel open until the step is done
+        case 'replayFinished':
+          this.showReplayResult(message);
           break;
         case 'captureFullPageScreenshot':
           this.captureFullPageScreenshot()
@@ -152,29 +172,45 @@ class E2EContentScript {
       display: none;
       box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
     `;
-    document.body.appendChild(this.overlay);
+
+    // While recording, the overlay doubles as the assertion mode switch
+    this.overlay.addEventListener('click', () => {
+      if (this.isRecording) {
+        this.toggleAssertionMode();
+      }
+    });
+
+    // Frames record alongside the top document; only it shows the overlay
+    if (this.isTopFrame) {
+      document.body.appendChild(this.overlay);
+    }
   }
 
   startRecording(testName) {
     this.isRecording = true;
     this.currentTestName = testName;
     this.recordedSteps = [];
+    this.framePathPromise = null;
     this.startUrl = window.location.href; // Save starting URL
 
     this.overlay.textContent = `Recording: ${testName}`;
     this.overlay.style.display = 'block';
     this.overlay.style.background = '#dc2626';
+    this.overlay.style.cursor = 'pointer';
+    this.overlay.title = 'Click (or press Alt+Shift+A) to add assertions';
 
     console.log(`📝 Started recording "${testName}" from URL: ${this.startUrl}`);
 
     // Record the initial page as the first step
-    this.recordStep({
-      type: 'navigation',
-      action: 'start',
-      toUrl: this.startUrl,
-      timestamp: Date.now(),
-      isInitialStep: true
-    });
+    if (this.isTopFrame) {
+      this.recordStep({
+        type: 'navigation',
+        action: 'start',
+        toUrl: this.startUrl,
+        timestamp: Date.now(),
+        isInitialStep: true
+      });
+    }
 
     this.setupRecordingListeners();
   }
@@ -249,10 +285,12 @@ class E2EContentScript {
   }
 
   stopRecording() {
+    this.exitAssertionMode();
     this.isRecording = false;
     this.overlay.style.display = 'none';
+    this.overlay.style.cursor = '';
+    this.overlay.title = '';
     this.removeRecordingListeners();
-    this.saveRecordedSteps();
     this.clearHighlight();
   }
 
@@ -263,10 +301,33 @@ class E2EContentScript {
     document.addEventListener('mouseover', this.handleMouseOver, true);
     document.addEventListener('mouseout', this.handleMouseOut, true);
     document.addEventListener('keydown', this.handleKeyDown, true);
+    document.addEventListener('focusin', this.handleFocusIn, true);
+    document.addEventListener('dblclick', this.handleDoubleClick, true);
+    document.addEventListener('contextmenu', this.handleContextMenu, true);
+    document.addEventListener('pointerdown', this.handlePointerDown, true);
+    document.addEventListener('pointerup', this.handlePointerUp, true);
+    document.addEventListener('dragstart', this.handleDragStart, true);
+    document.addEventListener('drop', this.handleDrop, true);
+    document.addEventListener('dragend', this.handleDragEnd, true);
+
+    // A hover is only worth a step when the page reacts to it (a menu opening)
+    this.hoverObserver = new MutationObserver(this.handleHoverMutations);
+    this.hoverObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeOldValue: true,
+      attributeFilter: ['class', 'style', 'hidden', 'open', 'aria-expanded']
+    });
 
-    // Navigation detection
+    // Navigation detection (arrivals are recorded by the background session)
     window.addEventListener('beforeunload', this.handleBeforeUnload, true);
-    window.addEventListener('load', this.handlePageLoad, true);
+
+    // Client-side route changes; page-hooks.js reports History API calls
+    this.lastRouteUrl = window.location.href;
+    window.addEventListener('e2e-recorder:history', this.handleRouteChange);
+    window.addEventListener('popstate', this.handleRouteChange);
+    window.addEventListener('hashchange', this.handleRouteChange);
   }
 
   removeRecordingListeners() {
@@ -276,19 +337,70 @@ class E2EContentScript {
     document.removeEventListener('mouseover', this.handleMouseOver, true);
     document.removeEventListener('mouseout', this.handleMouseOut, true);
     document.removeEventListener('keydown', this.handleKeyDown, true);
+    document.removeEventListener('focusin', this.handleFocusIn, true);
+    document.removeEventListener('dblclick', this.handleDoubleClick, true);
+    document.removeEventListener('contextmenu', this.handleContextMenu, true);
+    document.removeEventListener('pointerdown', this.handlePointerDown, true);
+    document.removeEventListener('pointerup', this.handlePointerUp, true);
+    document.removeEventListener('dragstart', this.handleDragStart, true);
+    document.removeEventListener('drop', this.handleDrop, true);
+    document.removeEventListener('dragend', this.handleDragEnd, true);
+    if (this.hoverObserver) {
+      this.hoverObserver.disconnect();
+      this.hoverObserver = null;
+    }
+    this.pendingHover = null;
+    this.pointerDrag = null;
+    this.html5Drag = null;
+    this.shadowRootListeners.forEach(root => root.removeEventListener('change', this.handleChange, true));
+    this.shadowRootListeners.clear();
 
     // Navigation cleanup
     window.removeEventListener('beforeunload', this.handleBeforeUnload, true);
-    window.removeEventListener('load', this.handlePageLoad, true);
+    window.removeEventListener('e2e-recorder:history', this.handleRouteChange);
+    window.removeEventListener('popstate', this.handleRouteChange);
+    window.removeEventListener('hashchange', this.handleRouteChange);
   }
 
-  handleClick = async (event) => {
+  // Events from inside shadow roots arrive retargeted to the outermost host;
+  // the first entry of the composed path is the element actually interacted with
+  getEventTarget(event) {
+    const path = event.composedPath ? event.composedPath() : [];
+    return path[0] instanceof Element ? path[0] : event.target;
+  }
+
+  // change is not a composed event, so it never leaves a shadow root; listen on
+  // each open shadow root the user focuses into while recording
+  handleFocusIn = (event) => {
     if (!this.isRecording) return;
 
+    event.composedPath().forEach(node => {
+      if (node instanceof ShadowRoot && !this.shadowRootListeners.has(node)) {
+        node.addEventListener('change', this.handleChange, true);
+        this.shadowRootListeners.add(node);
+      }
+    });
+  }
+
+  handleClick = async (event) => {
+    if (!this.isRecording || this.isRecorderUI(event.target)) return;
+
+    // The browser clicks the common ancestor after a drag; the drag step covers it
+    if (this.suppressClick) {
+      this.suppressClick = false;
+      return;
+    }
+
     event.preventDefault();
     event.stopPropagation();
 
-    const element = event.target;
+    const element = this.getEventTarget(event);
+
+    if (this.isAssertionMode) {
+      this.showAssertionMenu(element, event.clientX, event.clientY);
+      return;
+    }
+
     const selector = this.generateSelector(element);
 
     // Store current scroll position before scrolling
@@ -312,6 +424,7 @@ class E2EContentScript {
     this.recordStep({
       type: 'click',
       selector: selector,
+      fingerprint: this.buildFingerprint(element),
       text: element.textContent?.trim() || '',
       timestamp: Date.now(),
       url: window.location.href,
@@ -325,9 +438,9 @@ class E2EContentScript {
   }
 
   handleInput = async (event) => {
-    if (!this.isRecording) return;
+    if (!this.isRecording || this.isRecorderUI(event.target)) return;
 
-    const element = event.target;
+    const element = this.getEventTarget(event);
     const selector = this.generateSelector(element);
 
     // Scroll input element into view for better visibility
@@ -340,6 +453,7 @@ class E2EContentScript {
     this.recordStep({
       type: 'input',
       selector: selector,
+      fingerprint: this.buildFingerprint(element),
       value: element.value,
       timestamp: Date.now(),
       url: window.location.href,
@@ -351,9 +465,9 @@ class E2EContentScript {
   }
 
   handleChange = async (event) => {
-    if (!this.isRecording) return;
+    if (!this.isRecording || this.isRecorderUI(event.target)) return;
 
-    const element = event.target;
+    const element = this.getEventTarget(event);
     if (element.type === 'checkbox' || element.type === 'radio' || element.tagName === 'SELECT') {
       const selector = this.generateSelector(element);
 
@@ -369,6 +483,7 @@ class E2EContentScript {
       this.recordStep({
         type: 'change',
         selector: selector,
+        fingerprint: this.buildFingerprint(element),
         value: element.type === 'checkbox' ? element.checked : element.value,
         timestamp: Date.now(),
         url: window.location.href,
@@ -381,189 +496,720 @@ class E2EContentScript {
   }
 
   handleKeyDown = (event) => {
-    if (!this.isRecording) return;
+    if (!this.isRecording || this.isRecorderUI(event.target)) return;
 
-    if (event.key === 'Enter' || event.key === 'Tab') {
-      const element = event.target;
-      const selector = this.generateSelector(element);
+    if (this.isAssertionMode) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        if (this.assertionMenu) {
+          this.closeAssertionMenu();
+        } else {
+          this.exitAssertionMode();
+        }
+      }
+      return;
+    }
 
-      this.recordStep({
-        type: 'keypress',
-        selector: selector,
-        key: event.key,
-        timestamp: Date.now(),
-        url: window.location.href
-      });
+    const element = this.getEventTarget(event);
+    if (!this.isShortcutKey(event, element)) return;
+
+    const modifiers = [['Control', event.ctrlKey], ['Alt', event.altKey], ['Shift', event.shiftKey], ['Meta', event.metaKey]]
+      .filter(([, held]) => held)
+      .map(([name]) => name);
+
+    this.recordStep({
+      type: 'keypress',
+      selector: this.generateSelector(element),
+      fingerprint: this.buildFingerprint(element),
+      key: event.key,
+      code: event.code,
+      ...(modifiers.length > 0 && { modifiers }),
+      timestamp: Date.now(),
+      url: window.location.href
+    });
+  }
+
+  // Typing is captured by input events, so a key is only a step of its own
+  // when it is not text entry: named keys, combinations with Control, Alt or
+  // Meta, and single keys pressed outside an editable element (shortcuts)
+  isShortcutKey(event, element) {
+    if (event.isComposing || ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'Dead', 'Process', 'Unidentified'].includes(event.key)) {
+      return false;
     }
+
+    const editable = this.isEditable(element);
+    const commandHeld = event.ctrlKey || event.metaKey;
+    const modified = commandHeld || event.altKey;
+
+    // Enter or Space on a native control makes the browser click it, and
+    // that click is recorded already
+    const activator = 'button, a[href], summary, input[type="button"], input[type="submit"], input[type="reset"], input[type="image"]';
+    if (!modified && event.key === 'Enter' && element.closest(activator)) return false;
+    if (!modified && event.key === ' ' && element.closest(`${activator}, input[type="checkbox"], input[type="radio"]`)) return false;
+
+    // Alt (Option on a Mac) types accented characters into text fields
+    if (event.key.length === 1 && !commandHeld) {
+      return !editable;
+    }
+
+    // Plain editing keys change the value, which the input step already holds
+    if (editable && !modified) {
+      if (event.key === 'Backspace' || event.key === 'Delete') return false;
+      if (event.key === 'Enter' && element.tagName !== 'INPUT') return false;
+    }
+    return true;
   }
 
-  handleMouseOver = (event) => {
-    if (!this.isRecording) return;
-    this.highlightElement(event.target);
+  isEditable(element) {
+    if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+    if (element.tagName !== 'INPUT') return false;
+    return !['button', 'checkbox', 'color', 'file', 'hidden', 'image', 'radio', 'range', 'reset', 'submit'].includes(element.type);
   }
 
-  handleMouseOut = (event) => {
-    if (!this.isRecording) return;
-    this.clearHighlight();
+  // The second click of a double-click has already been recorded by the time
+  // this fires; the background folds both clicks into the dblclick step. The
+  // same delay as handleClick keeps this step behind them.
+  handleDoubleClick = async (event) => {
+    if (!this.isRecording || this.isAssertionMode || this.isRecorderUI(event.target)) return;
+
+    const element = this.getEventTarget(event);
+    await this.delay(this.settings.recordingDelay);
+    this.recordPointerStep('dblclick', element);
   }
 
-  handleBeforeUnload = (event) => {
-    if (!this.isRecording) return;
+  handleContextMenu = (event) => {
+    if (!this.isRecording || this.isAssertionMode || this.isRecorderUI(event.target)) return;
+    this.recordPointerStep('contextmenu', this.getEventTarget(event));
+  }
 
-    // Record navigation step before page unloads
-    this.recordStep({
-      type: 'navigation',
-      action: 'leaving',
-      fromUrl: window.location.href,
-      timestamp: Date.now()
+  handleMouseOver = (event) => {
+    if (!this.isRecording || this.assertionMenu || this.isRecorderUI(event.target)) return;
+    const element = this.getEventTarget(event);
+    this.highlightElement(element, this.isAssertionMode ? '#7c3aed' : '#3b82f6');
+
+    // Moving over the entered element's own children is still the same hover
+    const pending = this.pendingHover;
+    if (!this.isAssertionMode && !(pending && pending.element.contains(element))) {
+      this.pendingHover = { element, time: Date.now(), timer: null };
+    }
+  }
+
+  // Record the pending hover if, within a second of the pointer entering it,
+  // something the element controls changed: its own subtree, what its
+  // aria-controls/aria-describedby/aria-owns point at, its aria-expanded
+  // state, or a tooltip or menu being added. Timers, carousels and live data
+  // elsewhere on the page do not count. The pointer must also rest on the
+  // element for 300ms, so sweeping across the page records nothing;
+  // pressing the button clears the pending hover so a click's effects are
+  // not blamed on it. The recorder's own outline is ignored.
+  handleHoverMutations = (mutations) => {
+    const hover = this.pendingHover;
+    if (!hover || hover.timer || Date.now() - hover.time > 1000) return;
+
+    const withoutOutline = (style) => (style || '').replace(/outline(-offset)?:[^;]*;?/g, '').trim();
+    const hoverEffect = mutations.some(mutation => {
+      if (this.isRecorderUI(mutation.target instanceof Element ? mutation.target : mutation.target.parentElement)) {
+        return false;
+      }
+      if (mutation.type === 'attributes' && mutation.attributeName === 'style' &&
+          withoutOutline(mutation.oldValue) === withoutOutline(mutation.target.getAttribute('style'))) {
+        return false;
+      }
+      if (mutation.type === 'attributes' && mutation.attributeName === 'aria-expanded') {
+        return mutation.target.contains(hover.element);
+      }
+      if (mutation.type === 'childList') {
+        return [...mutation.addedNodes, ...mutation.removedNodes].some(node =>
+          !(node instanceof Element && this.isRecorderUI(node)) &&
+          (this.isHoverTarget(hover.element, mutation.target) || this.isHoverTarget(hover.element, node)));
+      }
+      return this.isHoverTarget(hover.element, mutation.target);
     });
 
-    // Save recorded steps before navigation
-    this.saveRecordedSteps();
+    if (hoverEffect) {
+      hover.timer = setTimeout(() => {
+        if (this.pendingHover !== hover) return;
+        this.pendingHover = null;
+        this.recordPointerStep('hover', hover.element);
+      }, Math.max(0, hover.time + 300 - Date.now()));
+    }
   }
 
-  handlePageLoad = (event) => {
-    if (!this.isRecording) return;
+  // Whether a changed node is something hovering the element could have changed
+  isHoverTarget(hoverElement, node) {
+    const element = node instanceof Element ? node : node.parentElement;
+    if (!element || !element.isConnected) return false;
+    if (hoverElement.contains(element)) return true;
+
+    const controller = hoverElement.closest('[aria-controls], [aria-describedby], [aria-owns]');
+    if (controller) {
+      const ids = ['aria-controls', 'aria-describedby', 'aria-owns']
+        .flatMap(attribute => (controller.getAttribute(attribute) || '').split(/\s+/))
+        .filter(Boolean);
+      if (ids.some(id => document.getElementById(id)?.contains(element))) return true;
+    }
+
+    // Tooltips and menus are often appended to the end of the body
+    return !!element.closest('[role="tooltip"], [role="menu"], [role="listbox"]');
+  }
+
+  handlePointerDown = (event) => {
+    this.pendingHover = null;
+    if (!this.isRecording || this.isAssertionMode || event.button !== 0 || this.isRecorderUI(event.target)) return;
+    this.pointerDrag = { element: this.getEventTarget(event), x: event.clientX, y: event.clientY };
+  }
+
+  // Drag libraries built on pointer events never fire dragstart; a press that
+  // travelled far enough and did not select text is recorded as a drag
+  handlePointerUp = (event) => {
+    const drag = this.pointerDrag;
+    this.pointerDrag = null;
+    if (!drag || !this.isRecording) return;
+
+    const distance = Math.hypot(event.clientX - drag.x, event.clientY - drag.y);
+    const selection = window.getSelection();
+    if (distance < 10 || (selection && !selection.isCollapsed)) return;
+
+    // The dragged element usually follows the pointer, so look beneath it
+    const target = document.elementsFromPoint(event.clientX, event.clientY)
+      .find(element => !drag.element.contains(element) && !this.isRecorderUI(element));
+    if (!target) return;
+
+    this.suppressClick = true;
+    setTimeout(() => { this.suppressClick = false; }, 0);
+    this.recordDragStep(drag.element, target, 'pointer');
+  }
+
+  handleDragStart = (event) => {
+    if (!this.isRecording || this.isRecorderUI(event.target)) return;
+    this.pointerDrag = null;
+    this.html5Drag = this.getEventTarget(event);
+  }
+
+  handleDrop = (event) => {
+    if (!this.isRecording || !this.html5Drag) return;
+    this.recordDragStep(this.html5Drag, this.getEventTarget(event), 'html5');
+    this.html5Drag = null;
+  }
+
+  handleDragEnd = () => {
+    this.html5Drag = null;
+  }
 
-    // Record navigation step after page loads
+  recordPointerStep(type, element) {
     this.recordStep({
-      type: 'navigation',
-      action: 'arrived',
-      toUrl: window.location.href,
-      timestamp: Date.now()
+      type: type,
+      selector: this.generateSelector(element),
+      fingerprint: this.buildFingerprint(element),
+      timestamp: Date.now(),
+      url: window.location.href
+    });
+  }
+
+  recordDragStep(source, target, dragMode) {
+    console.log(`✋ Recording ${dragMode} drag`);
+    this.recordStep({
+      type: 'drag',
+      dragMode: dragMode,
+      selector: this.generateSelector(source),
+      fingerprint: this.buildFingerprint(source),
+      targetSelector: this.generateSelector(target),
+      timestamp: Date.now(),
+      url: window.location.href
     });
   }
 
-  highlightElement(element) {
+  handleMouseOut = (event) => {
+    if (!this.isRecording || this.assertionMenu) return;
     this.clearHighlight();
-    element.style.outline = '2px solid #3b82f6';
-    element.style.outlineOffset = '1px';
-    this.highlightedElement = element;
   }
 
-  clearHighlight() {
-    if (this.highlightedElement) {
-      this.highlightedElement.style.outline = '';
-      this.highlightedElement.style.outlineOffset = '';
-      this.highlightedElement = null;
+  // Build an assert step that holds for the page as it is now; the picker
+  // records it as-is and the step editor can loosen the operator afterwards
+  buildAssertionStep(assertion, element = null, attribute = null) {
+    const step = {
+      type: 'assert',
+      assertion: assertion,
+      operator: 'equals',
+      timestamp: Date.now(),
+      url: window.location.href
+    };
+
+    switch (assertion) {
+      case 'url':
+        step.expected = window.location.href;
+        break;
+      case 'count':
+        step.selector = this.generateCountSelector(element);
+        step.expected = SelectorUtils.queryAll(step.selector).length;
+        break;
+      case 'text':
+        step.selector = this.generateSelector(element);
+        step.expected = element.textContent?.trim() || '';
+        break;
+      case 'value':
+        step.selector = this.generateSelector(element);
+        step.expected = element.value ?? '';
+        break;
+      case 'attribute':
+        step.selector = this.generateSelector(element);
+        step.attribute = attribute;
+        step.expected = element.getAttribute(attribute) ?? '';
+        break;
+      default: // visible, hidden
+        step.selector = this.generateSelector(element);
     }
-  }
 
-  showTemporaryHighlight(element, message) {
-    element.style.outline = '2px solid #10b981';
-    element.style.outlineOffset = '1px';
+    // Count assertions target a group of elements, so there is nothing to heal towards
+    if (element && assertion !== 'count') {
+      step.fingerprint = this.buildFingerprint(element);
+    }
 
-    const tooltip = document.createElement('div');
-    tooltip.textContent = message;
-    tooltip.style.cssText = `
-      position: absolute;
-      background: #10b981;
-      color: white;
-      padding: 4px 8px;
-      border-radius: 4px;
-      font-size: 12px;
-      z-index: 10001;
-      pointer-events: none;
-    `;
+    return step;
+  }
 
-    const rect = element.getBoundingClientRect();
-    tooltip.style.left = (rect.left + window.scrollX) + 'px';
-    tooltip.style.top = (rect.top + window.scrollY - 30) + 'px';
+  // Selector for the element and its like-for-like siblings (same tag and classes)
+  generateCountSelector(element) {
+    const classes = Array.from(element.classList)
+      .filter(cls => /^[a-zA-Z][\w-]*$/.test(cls))
+      .map(cls => `.${cls}`)
+      .join('');
+    const own = `${element.tagName.toLowerCase()}${classes}`;
 
-    document.body.appendChild(tooltip);
+    if (!element.parentElement || element.parentElement === document.body) {
+      return this.scopeToShadowHost(element, own);
+    }
 
-    setTimeout(() => {
-      element.style.outline = '';
-      element.style.outlineOffset = '';
-      if (tooltip.parentNode) {
-        tooltip.parentNode.removeChild(tooltip);
-      }
-    }, 1000);
+    // Counting needs a CSS parent; locators and XPath cannot be chained with ">"
+    const parentSelector = this.generateSelectorInRoot(element.parentElement, element.getRootNode());
+    const parentCss = typeof parentSelector === 'string' && !SelectorUtils.isXPath(parentSelector) ?
+      parentSelector :
+      this.generateParentBasedSelector(element.parentElement, 5);
+    return this.scopeToShadowHost(element, `${parentCss} > ${own}`);
   }
 
-  showScreenshotIndicator(message, duration = 1000) {
-    // Create a full-screen overlay for screenshot indication
-    const indicator = document.createElement('div');
-    indicator.textContent = message;
+  // The overlay, toolbar and menu belong to the recorder, not the page under test
+  isRecorderUI(element) {
+    return !!(element && element.closest &&
+      element.closest('#e2e-recorder-overlay, .e2e-assertion-ui'));
+  }
 
-    // Different colors for different message types
-    let backgroundColor = '#3b82f6'; // Default blue
-    let borderColor = '#60a5fa';
+  toggleAssertionMode() {
+    if (!this.isRecording) {
+      this.showScreenshotIndicator('⚠️ Start recording before adding assertions', 2000);
+      return;
+    }
 
-    if (message.includes('❌') || message.includes('Failed')) {
-      backgroundColor = '#dc2626'; // Red for errors
-      borderColor = '#f87171';
-    } else if (message.includes('✓')) {
-      backgroundColor = '#10b981'; // Green for success
-      borderColor = '#34d399';
-    } else if (message.includes('⚠️')) {
-      backgroundColor = '#f59e0b'; // Orange for warnings
-      borderColor = '#fbbf24';
+    if (this.isAssertionMode) {
+      this.exitAssertionMode();
+    } else {
+      this.enterAssertionMode();
     }
+  }
 
-    indicator.style.cssText = `
+  enterAssertionMode() {
+    this.isAssertionMode = true;
+    this.clearHighlight();
+    this.overlay.style.background = '#7c3aed';
+    this.overlay.textContent = `Asserting: ${this.currentTestName}`;
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'e2e-assertion-ui';
+    toolbar.style.cssText = `
       position: fixed;
-      top: 50%;
+      top: 10px;
       left: 50%;
-      transform: translate(-50%, -50%);
-      background: ${backgroundColor};
+      transform: translateX(-50%);
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      background: #1f2937;
       color: white;
-      padding: 15px 25px;
-      border-radius: 8px;
+      padding: 8px 12px;
+      border-radius: 6px;
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      font-size: 16px;
-      font-weight: 500;
-      z-index: 10002;
-      box-shadow: 0 10px 25px rgba(0, 0, 0, 0.3);
-      border: 2px solid ${borderColor};
-      max-width: 80%;
-      text-align: center;
+      font-size: 13px;
+      z-index: 10001;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
     `;
 
-    document.body.appendChild(indicator);
+    const label = document.createElement('span');
+    label.textContent = '🎯 Click an element to add a check';
+    toolbar.appendChild(label);
+    toolbar.appendChild(this.createAssertionButton('Assert URL', () => this.recordAssertion('url')));
+    toolbar.appendChild(this.createAssertionButton('Done', () => this.exitAssertionMode()));
 
-    // Remove after delay
-    setTimeout(() => {
-      if (indicator.parentNode) {
-        indicator.parentNode.removeChild(indicator);
-      }
-    }, duration);
+    document.body.appendChild(toolbar);
+    this.assertionToolbar = toolbar;
+    console.log('🎯 Assertion mode on');
   }
 
-  hideAllIndicators() {
-    // Remove all existing screenshot indicators to prevent them from appearing in screenshots
-    const indicators = document.querySelectorAll('[style*="z-index: 10002"]');
-    indicators.forEach(indicator => {
-      if (indicator.parentNode) {
-        indicator.parentNode.removeChild(indicator);
-      }
-    });
+  exitAssertionMode() {
+    if (!this.isAssertionMode) return;
 
-    // Also hide screenshot progress overlay
-    this.hideScreenshotProgress();
+    this.isAssertionMode = false;
+    this.closeAssertionMenu();
+    this.clearHighlight();
 
-    // Remove any other high z-index overlays that might interfere
-    const highZIndexElements = document.querySelectorAll('[style*="z-index: 2147483647"]');
-    highZIndexElements.forEach(element => {
-      if (element.parentNode && element !== this.overlay) {
-        element.style.display = 'none';
-      }
-    });
+    if (this.assertionToolbar) {
+      this.assertionToolbar.remove();
+      this.assertionToolbar = null;
+    }
+
+    if (this.isRecording) {
+      this.overlay.style.background = '#dc2626';
+      this.overlay.textContent = `Recording: ${this.currentTestName}`;
+    }
+    console.log('🎯 Assertion mode off');
   }
 
-  async updateBaselineScreenshot(step, newScreenshot, stepNumber) {
+  createAssertionButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.style.cssText = `
+      display: block;
+      width: 100%;
+      padding: 6px 10px;
+      border: none;
+      border-radius: 4px;
+      background: #374151;
+      color: white;
+      font: inherit;
+      text-align: left;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  showAssertionMenu(element, x, y) {
+    this.closeAssertionMenu();
+    this.highlightElement(element, '#7c3aed');
+
+    const menu = document.createElement('div');
+    menu.className = 'e2e-assertion-ui';
+    menu.style.cssText = `
+      position: fixed;
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      min-width: 200px;
+      max-height: 60vh;
+      overflow-y: auto;
+      background: #1f2937;
+      color: white;
+      padding: 8px;
+      border-radius: 6px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      z-index: 10001;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+    `;
+
+    const text = element.textContent?.trim() || '';
+    menu.appendChild(this.createAssertionButton(
+      `Assert text${text ? ` "${text.substring(0, 30)}${text.length > 30 ? '…' : ''}"` : ''}`,
+      () => this.recordAssertion('text', element)
+    ));
+    menu.appendChild(this.createAssertionButton('Assert visible', () => this.recordAssertion('visible', element)));
+
+    if ('value' in element && ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)) {
+      menu.appendChild(this.createAssertionButton(
+        `Assert value "${String(element.value).substring(0, 30)}"`,
+        () => this.recordAssertion('value', element)
+      ));
+    }
+
+    menu.appendChild(this.createAssertionButton('Assert attribute…', () => this.showAttributeChoices(menu, element)));
+    menu.appendChild(this.createAssertionButton('Assert count of similar elements', () => this.recordAssertion('count', element)));
+    menu.appendChild(this.createAssertionButton('📸 Take element screenshot checkpoint', () => this.recordElementCheckpoint(element)));
+    menu.appendChild(this.createAssertionButton('Cancel', () => this.closeAssertionMenu()));
+
+    document.body.appendChild(menu);
+
+    // Keep the menu inside the viewport
+    const rect = menu.getBoundingClientRect();
+    menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - rect.width - 10))}px`;
+    menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - rect.height - 10))}px`;
+
+    this.assertionMenu = menu;
+  }
+
+  showAttributeChoices(menu, element) {
+    menu.replaceChildren();
+
+    // style is skipped: the picker's own highlight writes to it
+    const attributes = Array.from(element.attributes).filter(attr => attr.name !== 'style');
+    if (attributes.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'This element has no attributes';
+      empty.style.padding = '6px 10px';
+      menu.appendChild(empty);
+    }
+
+    attributes.forEach(attr => {
+      const value = attr.value.length > 30 ? `${attr.value.substring(0, 30)}…` : attr.value;
+      menu.appendChild(this.createAssertionButton(
+        `${attr.name} = "${value}"`,
+        () => this.recordAssertion('attribute', element, attr.name)
+      ));
+    });
+    menu.appendChild(this.createAssertionButton('Cancel', () => this.closeAssertionMenu()));
+  }
+
+  closeAssertionMenu() {
+    if (this.assertionMenu) {
+      this.assertionMenu.remove();
+      this.assertionMenu = null;
+      this.clearHighlight();
+    }
+  }
+
+  recordAssertion(assertion, element = null, attribute = null) {
+    this.closeAssertionMenu();
+
+    const step = this.buildAssertionStep(assertion, element, attribute);
+    this.recordStep(step);
+
+    if (element) {
+      this.showTemporaryHighlight(element, `Assert ${assertion} recorded`);
+    } else {
+      this.showScreenshotIndicator(`✓ Assert ${assertion} recorded`, 1000);
+    }
+  }
+
+  async recordElementCheckpoint(element) {
+    this.closeAssertionMenu();
+    const selector = this.generateSelector(element);
+
+    // Keep the toolbar out of the capture
+    if (this.assertionToolbar) this.assertionToolbar.style.display = 'none';
+
     try {
-      console.log(`Updating baseline screenshot for step ${stepNumber}...`);
+      const screenshot = await this.captureElementScreenshot(element);
+      if (!screenshot) {
+        throw new Error('Could not capture the element');
+      }
+
+      const response = await chrome.runtime.sendMessage({ action: 'storeScreenshot', dataUrl: screenshot });
+      if (!response || response.error) {
+        throw new Error(response ? response.error : 'No response from background');
+      }
+
+      this.recordStep({
+        type: 'screenshot',
+        selector: selector,
+        fingerprint: this.buildFingerprint(element),
+        screenshotRef: response.screenshotRef,
+        timestamp: Date.now(),
+        url: window.location.href
+      });
+      this.showTemporaryHighlight(element, 'Element checkpoint recorded');
+    } catch (error) {
+      console.error('Failed to record element checkpoint:', error);
+      this.showScreenshotIndicator(`❌ Element checkpoint failed: ${error.message}`, 2000);
+    } finally {
+      if (this.assertionToolbar) this.assertionToolbar.style.display = 'flex';
+    }
+  }
+
+  handleBeforeUnload = (event) => {
+    if (!this.isRecording) return;
+
+    // Record navigation step before page unloads
+    this.recordStep({
+      type: 'navigation',
+      action: 'leaving',
+      fromUrl: window.location.href,
+      timestamp: Date.now()
+    });
+  }
+
+  // A hash change fires both popstate and hashchange, and routers often
+  // replaceState the URL they just pushed; only an actual URL change is a step
+  handleRouteChange = (event) => {
+    if (!this.isRecording || !this.isTopFrame) return;
+
+    const url = window.location.href;
+    if (url === this.lastRouteUrl) return;
+
+    this.recordStep({
+      type: 'navigation',
+      action: 'route',
+      fromUrl: this.lastRouteUrl,
+      toUrl: url,
+      trigger: event.type === 'e2e-recorder:history' ? event.detail : event.type,
+      timestamp: Date.now()
+    });
+    this.lastRouteUrl = url;
+  }
+
+  // Dialogs reported by page-hooks.js: recorded as steps, or during replay
+  // passed on so the background can check them against the dialog step.
+  // Page scripts can dispatch the same event, so malformed details are ignored
+  handleDialog = (event) => {
+    let dialog;
+    try {
+      dialog = JSON.parse(event.detail);
+    } catch (error) {
+      return;
+    }
+    if (!dialog || typeof dialog.dialogType !== 'string') return;
+
+    if (dialog.replayed) {
+      delete dialog.replayed;
+      chrome.runtime.sendMessage({ action: 'dialogOpened', dialog }).catch(error => {
+        console.warn('Could not report dialog:', error);
+      });
+      return;
+    }
+
+    if (!this.isRecording) return;
+
+    console.log(`💬 Recording ${dialog.dialogType} dialog (${dialog.response})`);
+    this.recordStep({
+      type: 'dialog',
+      dialogType: dialog.dialogType,
+      message: dialog.message,
+      response: dialog.response,
+      ...(dialog.promptText !== undefined && { promptText: dialog.promptText }),
+      url: window.location.href,
+      timestamp: Date.now()
+    });
+  }
+
+  highlightElement(element, color = '#3b82f6') {
+    this.clearHighlight();
+    element.style.outline = `2px solid ${color}`;
+    element.style.outlineOffset = '1px';
+    this.highlightedElement = element;
+  }
+
+  clearHighlight() {
+    if (this.highlightedElement) {
+      this.highlightedElement.style.outline = '';
+      this.highlightedElement.style.outlineOffset = '';
+      this.highlightedElement = null;
+    }
+  }
+
+  showTemporaryHighlight(element, message) {
+    element.style.outline = '2px solid #10b981';
+    element.style.outlineOffset = '1px';
+
+    const tooltip = document.createElement('div');
+    tooltip.textContent = message;
+    tooltip.style.cssText = `
+      position: absolute;
+      background: #10b981;
+      color: white;
+      padding: 4px 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      z-index: 10001;
+      pointer-events: none;
+    `;
+
+    const rect = element.getBoundingClientRect();
+    tooltip.style.left = (rect.left + window.scrollX) + 'px';
+    tooltip.style.top = (rect.top + window.scrollY - 30) + 'px';
 
-      // Update the step's screenshot with the new one
-      step.screenshot = newScreenshot;
+    document.body.appendChild(tooltip);
+
+    setTimeout(() => {
+      element.style.outline = '';
+      element.style.outlineOffset = '';
+      if (tooltip.parentNode) {
+        tooltip.parentNode.removeChild(tooltip);
+      }
+    }, 1000);
+  }
+
+  showScreenshotIndicator(message, duration = 1000) {
+    // Create a full-screen overlay for screenshot indication
+    const indicator = document.createElement('div');
+    indicator.textContent = message;
+
+    // Different colors for different message types
+    let backgroundColor = '#3b82f6'; // Default blue
+    let borderColor = '#60a5fa';
+
+    if (message.includes('❌') || message.includes('Failed')) {
+      backgroundColor = '#dc2626'; // Red for errors
+      borderColor = '#f87171';
+    } else if (message.includes('✓')) {
+      backgroundColor = '#10b981'; // Green for success
+      borderColor = '#34d399';
+    } else if (message.includes('⚠️')) {
+      backgroundColor = '#f59e0b'; // Orange for warnings
+      borderColor = '#fbbf24';
+    }
+
+    indicator.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: ${backgroundColor};
+      color: white;
+      padding: 15px 25px;
+      border-radius: 8px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 16px;
+      font-weight: 500;
+      z-index: 10002;
+      box-shadow: 0 10px 25px rgba(0, 0, 0, 0.3);
+      border: 2px solid ${borderColor};
+      max-width: 80%;
+      text-align: center;
+    `;
+
+    document.body.appendChild(indicator);
+
+    // Remove after delay
+    setTimeout(() => {
+      if (indicator.parentNode) {
+        indicator.parentNode.removeChild(indicator);
+      }
+    }, duration);
+  }
+
+  hideAllIndicators() {
+    // Remove all existing screenshot indicators to prevent them from appearing in screenshots
+    const indicators = document.querySelectorAll('[style*="z-index: 10002"]');
+    indicators.forEach(indicator => {
+      if (indicator.parentNode) {
+        indicator.parentNode.removeChild(indicator);
+      }
+    });
+
+    // Also hide screenshot progress overlay
+    this.hideScreenshotProgress();
+
+    // Remove any other high z-index overlays that might interfere
+    const highZIndexElements = document.querySelectorAll('[style*="z-index: 2147483647"]');
+    highZIndexElements.forEach(element => {
+      if (element.parentNode && element !== this.overlay) {
+        element.style.display = 'none';
+      }
+    });
+  }
 
-      // Send the updated step back to popup for storage
+  async updateBaselineScreenshot(step, newScreenshot, stepNumber) {
+    try {
+      console.log(`Updating baseline screenshot for step ${stepNumber}...`);
+
+      // Send the new baseline to the background for storage
       await chrome.runtime.sendMessage({
         action: 'updateStepScreenshot',
-        stepNumber: stepNumber,
-        newScreenshot: newScreenshot,
-        stepData: step
+        testId: this.currentTestId,
+        stepId: step.id,
+        newScreenshot: newScreenshot
       });
 
       console.log(`Baseline screenshot updated successfully for step ${stepNumber}`);
@@ -573,6 +1219,24 @@ class E2EContentScript {
     }
   }
 
+  // Baselines live in the extension's IndexedDB store, which only the
+  // background can read on our behalf
+  async loadBaselineScreenshot(step) {
+    if (!step.screenshotRef) {
+      return step.screenshot || null;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'getScreenshot',
+      screenshotRef: step.screenshotRef
+    });
+
+    if (!response || response.error || !response.dataUrl) {
+      throw new Error(`Baseline screenshot not found: ${response?.error || step.screenshotRef}`);
+    }
+    return response.dataUrl;
+  }
+
   // Helper function to escape CSS special characters
   escapeCssIdentifier(identifier) {
     // Escape all CSS special characters for Tailwind and other frameworks
@@ -605,28 +1269,37 @@ class E2EContentScript {
 
   // Helper function to validate CSS selector
   isValidSelector(selector) {
-    try {
-      document.querySelector(selector);
-      return true;
-    } catch (e) {
-      return false;
-    }
+    return SelectorUtils.isValid(selector);
   }
 
   // Helper function to check if selector is unique
-  isUniqueSelector(selector) {
+  isUniqueSelector(selector, root = document) {
     try {
-      return document.querySelectorAll(selector).length === 1;
+      return SelectorUtils.queryAll(selector, root).length === 1;
     } catch (e) {
       return false;
     }
   }
 
+  // Inside a shadow root the selector is generated relative to that root and
+  // chained under the host's own selector
   generateSelector(element) {
+    return this.scopeToShadowHost(element, this.generateSelectorInRoot(element, element.getRootNode()));
+  }
+
+  scopeToShadowHost(element, selector) {
+    const root = element.getRootNode();
+    if (!(root instanceof ShadowRoot) || !selector) {
+      return selector;
+    }
+    return SelectorUtils.shadowChain(this.generateSelector(root.host), selector);
+  }
+
+  generateSelectorInRoot(element, root) {
     // Priority 1: ID (highest priority)
     if (element.id) {
       const idSelector = `#${this.escapeCssIdentifier(element.id)}`;
-      if (this.isValidSelector(idSelector) && this.isUniqueSelector(idSelector)) {
+      if (this.isValidSelector(idSelector) && this.isUniqueSelector(idSelector, root)) {
         return idSelector;
       }
     }
@@ -634,7 +1307,7 @@ class E2EContentScript {
     // Priority 2: data-testid (very stable)
     if (element.getAttribute('data-testid')) {
       const testIdSelector = `[data-testid="${element.getAttribute('data-testid')}"]`;
-      if (this.isValidSelector(testIdSelector) && this.isUniqueSelector(testIdSelector)) {
+      if (this.isValidSelector(testIdSelector) && this.isUniqueSelector(testIdSelector, root)) {
         return testIdSelector;
       }
     }
@@ -642,7 +1315,7 @@ class E2EContentScript {
     // Priority 3: name attribute (stable for form elements)
     if (element.name) {
       const nameSelector = `[name="${element.name}"]`;
-      if (this.isValidSelector(nameSelector) && this.isUniqueSelector(nameSelector)) {
+      if (this.isValidSelector(nameSelector) && this.isUniqueSelector(nameSelector, root)) {
         return nameSelector;
       }
     }
@@ -653,13 +1326,19 @@ class E2EContentScript {
       const value = element.getAttribute(attr);
       if (value) {
         const attrSelector = `[${attr}="${value}"]`;
-        if (this.isValidSelector(attrSelector) && this.isUniqueSelector(attrSelector)) {
+        if (this.isValidSelector(attrSelector) && this.isUniqueSelector(attrSelector, root)) {
           return attrSelector;
         }
       }
     }
 
-    // Priority 5: Class names (with improved escaping)
+    // Priority 5: Role locator (ARIA role plus accessible name), which survives restyling
+    const roleLocator = this.generateRoleLocator(element);
+    if (roleLocator) {
+      return roleLocator;
+    }
+
+    // Priority 6: Class names (with improved escaping)
     if (element.className) {
       const classes = element.className.split(' ')
         .filter(c => c.trim())
@@ -668,7 +1347,7 @@ class E2EContentScript {
       if (classes.length > 0) {
         // Try all classes first
         let classSelector = `.${classes.join('.')}`;
-        if (this.isValidSelector(classSelector) && this.isUniqueSelector(classSelector)) {
+        if (this.isValidSelector(classSelector) && this.isUniqueSelector(classSelector, root)) {
           return classSelector;
         }
 
@@ -677,7 +1356,7 @@ class E2EContentScript {
           for (let j = 0; j <= classes.length - i; j++) {
             const selectedClasses = classes.slice(j, j + i);
             classSelector = `.${selectedClasses.join('.')}`;
-            if (this.isValidSelector(classSelector) && this.isUniqueSelector(classSelector)) {
+            if (this.isValidSelector(classSelector) && this.isUniqueSelector(classSelector, root)) {
               return classSelector;
             }
           }
@@ -685,35 +1364,61 @@ class E2EContentScript {
       }
     }
 
-    // Priority 6: Tag with attributes combination
-    const tagName = element.tagName.toLowerCase();
-    const text = element.textContent?.trim();
-    if (text && text.length < 50) {
-      const textSelector = `${tagName}:contains("${text.replace(/"/g, '\\"')}")`;
-      if (this.isValidSelector(textSelector) && this.isUniqueSelector(textSelector)) {
-        return textSelector;
-      }
+    // Priority 7: Text locator (tag plus its exact visible text)
+    const textLocator = this.generateTextLocator(element);
+    if (textLocator) {
+      return textLocator;
+    }
+
+    // Priority 8: Generate parent-based selector (but limit depth)
+    const parentSelector = this.generateParentBasedSelector(element, 5);
+    const parentMatches = SelectorUtils.queryAll(parentSelector, root);
+    if (parentMatches.length === 1 && parentMatches[0] === element) {
+      return parentSelector;
     }
 
-    // Priority 7: Generate parent-based selector (but limit depth)
-    return this.generateParentBasedSelector(element, 5);
+    // Priority 9: Positional XPath, for pages with nothing stable to anchor on
+    return this.generateXPath(element) || parentSelector;
+  }
+
+  // A text locator for the element, if its visible text picks it out uniquely
+  generateTextLocator(element) {
+    const text = SelectorUtils.normalizeText(element.textContent);
+    if (!text || text.length >= 50) return null;
+
+    const locator = { strategy: 'text', tag: element.tagName.toLowerCase(), text: text, exact: true };
+    const matches = SelectorUtils.queryAll(locator, element.getRootNode());
+    return matches.length === 1 && matches[0] === element ? locator : null;
+  }
+
+  // A role locator for the element, if its role and accessible name pick it out uniquely
+  generateRoleLocator(element) {
+    const role = SelectorUtils.getRole(element);
+    const name = SelectorUtils.getAccessibleName(element);
+    if (!role || role === 'presentation' || role === 'none' || !name || name.length >= 80) return null;
+
+    const locator = { strategy: 'role', role: role, name: name };
+    const matches = SelectorUtils.queryAll(locator, element.getRootNode());
+    return matches.length === 1 && matches[0] === element ? locator : null;
   }
 
   // Enhanced element finding with retry and waiting mechanisms
+  // Polls until the element is found or the timeout runs out; maxAttempts is an optional extra cap
   async findElementWithRetry(selector, options = {}) {
     const {
-      maxAttempts = 5,
+      maxAttempts = Infinity,
       waitBetweenAttempts = 1000,
       waitForElement = true,
-      timeout = 10000,
+      timeout = this.settings.stepTimeout,
       expectedText = null
     } = options;
 
-    console.log(`🔎 Searching for element: "${selector}" (max attempts: ${maxAttempts})`);
+    const label = SelectorUtils.format(selector);
+    console.log(`🔎 Searching for element: "${label}" (timeout: ${timeout}ms)`);
 
     // First validate the selector
     if (!this.isValidSelector(selector)) {
-      console.error(`❌ Invalid selector: "${selector}"`);
+      console.error(`❌ Invalid selector: "${label}"`);
       await this.debugSelector(selector);
       return null;
     }
@@ -725,10 +1430,10 @@ class E2EContentScript {
       attempt++;
 
       try {
-        console.log(`🔄 Attempt ${attempt}/${maxAttempts} for selector: "${selector}"`);
+        console.log(`🔄 Attempt ${attempt} for selector: "${label}"`);
 
         // Try to find the element(s)
-        let elements = document.querySelectorAll(selector);
+        let elements = SelectorUtils.queryAll(selector);
         let element = null;
 
         if (elements.length > 0) {
@@ -768,7 +1473,8 @@ class E2EContentScript {
 
             // If waitForElement is true, also check if element is visible and interactable
             if (waitForElement) {
-              const isVisible = await this.waitForElementToBeVisible(element);
+              const remaining = timeout - (Date.now() - startTime);
+              const isVisible = await this.waitForElementToBeVisible(element, Math.max(0, Math.min(1000, remaining)));
               if (isVisible) {
                 return element;
               } else {
@@ -782,10 +1488,12 @@ class E2EContentScript {
           console.log(`❌ No elements found with selector on attempt ${attempt}`);
         }
 
-        // Wait before next attempt (except for last attempt)
-        if (attempt < maxAttempts) {
-          console.log(`⏳ Waiting ${waitBetweenAttempts}ms before next attempt...`);
-          await this.delay(waitBetweenAttempts);
+        // Wait before next attempt, but never past the timeout
+        const remaining = timeout - (Date.now() - startTime);
+        if (attempt < maxAttempts && remaining > 0) {
+          const wait = Math.min(waitBetweenAttempts, remaining);
+          console.log(`⏳ Waiting ${wait}ms before next attempt...`);
+          await this.delay(wait);
         }
 
       } catch (error) {
@@ -797,10 +1505,10 @@ class E2EContentScript {
       }
     }
 
-    console.error(`❌ Element not found after ${maxAttempts} attempts: "${selector}"`);
+    console.error(`❌ Element not found after ${attempt} attempts (${Date.now() - startTime}ms): "${label}"`);
 
     // If original selector failed and contains nth-child, try alternative strategies
-    if (selector.includes(':nth-child(')) {
+    if (typeof selector === 'string' && selector.includes(':nth-child(')) {
       console.log(`🔄 Selector contains nth-child, trying alternative strategies...`);
 
       // Try removing nth-child and use text matching instead
@@ -851,26 +1559,164 @@ class E2EContentScript {
     return null;
   }
 
-  // Helper function to simplify selector by removing specific positioning
-  simplifySelector(selector) {
-    return selector
-      .replace(/:nth-child\(\d+\)/g, '') // Remove nth-child
-      .replace(/\s*>\s*/g, ' ') // Change child selector to descendant
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .trim();
-  }
-
-  async waitForElementToBeVisible(element, timeout = 5000) {
-    const startTime = Date.now();
-
-    while ((Date.now() - startTime) < timeout) {
-      const rect = element.getBoundingClientRect();
-      const isVisible = rect.width > 0 && rect.height > 0 &&
-                       window.getComputedStyle(element).visibility !== 'hidden' &&
-                       window.getComputedStyle(element).display !== 'none';
+  // Say which part of the element lookup never succeeded, for timeout messages
+  describeElementWait(step) {
+    const matches = SelectorUtils.queryAll(step.selector);
 
-      if (isVisible) {
-        return true;
+    if (matches.length === 0) {
+      return `element "${SelectorUtils.format(step.selector)}" to appear`;
+    }
+    if (step.text && step.text.trim() && !matches.some(el => el.textContent?.trim() === step.text)) {
+      return `element "${SelectorUtils.format(step.selector)}" with text "${step.text}"`;
+    }
+    return `element "${SelectorUtils.format(step.selector)}" to become visible`;
+  }
+
+  // Everything replay needs to find the element again if the recorded selector
+  // stops matching: alternative selectors, ranked most stable first, plus
+  // enough about the element to tell the right match from a wrong one
+  buildFingerprint(element) {
+    const tag = element.tagName.toLowerCase();
+    const quote = (value) => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const candidates = [];
+    const addCandidate = (type, selector) => {
+      selector = this.scopeToShadowHost(element, selector);
+      const key = SelectorUtils.format(selector);
+      if (selector && this.isValidSelector(selector) && !candidates.some(c => SelectorUtils.format(c.selector) === key)) {
+        candidates.push({ type, selector });
+      }
+    };
+
+    if (element.id) {
+      addCandidate('id', `#${this.escapeCssIdentifier(element.id)}`);
+    }
+
+    for (const attr of ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa']) {
+      const value = element.getAttribute(attr);
+      if (value) addCandidate('testId', `[${attr}=${quote(value)}]`);
+    }
+
+    if (element.getAttribute('name')) {
+      addCandidate('name', `${tag}[name=${quote(element.getAttribute('name'))}]`);
+    }
+
+    addCandidate('role', this.generateRoleLocator(element));
+
+    const classes = Array.from(element.classList).map(cls => this.escapeCssIdentifier(cls));
+    if (classes.length > 0) {
+      addCandidate('classes', `${tag}.${classes.join('.')}`);
+    }
+
+    addCandidate('text', this.generateTextLocator(element));
+    addCandidate('path', this.generateParentBasedSelector(element, 5));
+    addCandidate('xpath', this.generateXPath(element));
+
+    const attributes = {};
+    for (const attr of ['id', 'name', 'type', 'href', 'placeholder', 'title', 'alt', 'role', 'aria-label', 'data-testid']) {
+      const value = element.getAttribute(attr);
+      if (value) attributes[attr] = value.substring(0, 200);
+    }
+
+    const rect = element.getBoundingClientRect();
+    return {
+      candidates: candidates,
+      tag: tag,
+      text: (element.textContent?.trim() || '').substring(0, 200),
+      attributes: attributes,
+      rect: {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      }
+    };
+  }
+
+  // How closely an element resembles the recorded fingerprint (higher is closer)
+  scoreFingerprintMatch(element, fingerprint) {
+    let score = 0;
+
+    if (element.tagName.toLowerCase() === fingerprint.tag) {
+      score += 2;
+    } else {
+      score -= 2;
+    }
+
+    const text = (element.textContent?.trim() || '').substring(0, 200);
+    if (fingerprint.text) {
+      if (text === fingerprint.text) {
+        score += 3;
+      } else if (text && (text.includes(fingerprint.text) || fingerprint.text.includes(text))) {
+        score += 1;
+      }
+    }
+
+    Object.entries(fingerprint.attributes || {}).forEach(([attr, value]) => {
+      if (element.getAttribute(attr) === value) score += 1;
+    });
+
+    if (fingerprint.rect) {
+      const rect = element.getBoundingClientRect();
+      const dx = (rect.left + window.scrollX) - fingerprint.rect.x;
+      const dy = (rect.top + window.scrollY) - fingerprint.rect.y;
+      if (Math.hypot(dx, dy) < 50) score += 1;
+      if (Math.abs(rect.width - fingerprint.rect.width) < 10 && Math.abs(rect.height - fingerprint.rect.height) < 10) {
+        score += 1;
+      }
+    }
+
+    return score;
+  }
+
+  // Try the fingerprint's other candidates until one yields a convincing match
+  async healElement(step, timeout) {
+    const { fingerprint } = step;
+    const minScore = 4; // below this a match is more likely a different element
+    const startTime = Date.now();
+
+    do {
+      let best = null;
+
+      fingerprint.candidates.forEach((candidate, rank) => {
+        if (SelectorUtils.format(candidate.selector) === SelectorUtils.format(step.selector)) return;
+
+        SelectorUtils.queryAll(candidate.selector).slice(0, 20).forEach(element => {
+          if (!this.isElementVisible(element)) return;
+
+          // Earlier (more stable) candidates win ties
+          const score = this.scoreFingerprintMatch(element, fingerprint) - rank * 0.1;
+          if (!best || score > best.score) {
+            best = { element, score, selector: candidate.selector, candidateType: candidate.type };
+          }
+        });
+      });
+
+      if (best && best.score >= minScore) {
+        console.log(`🩹 Healed "${SelectorUtils.format(step.selector)}" with ${best.candidateType} candidate "${SelectorUtils.format(best.selector)}" (score ${best.score.toFixed(1)})`);
+        return best;
+      }
+
+      await this.delay(250);
+    } while (Date.now() - startTime < timeout);
+
+    return null;
+  }
+
+  // Helper function to simplify selector by removing specific positioning
+  simplifySelector(selector) {
+    return selector
+      .replace(/:nth-child\(\d+\)/g, '') // Remove nth-child
+      .replace(/\s*>\s*/g, ' ') // Change child selector to descendant
+      .replace(/\s+/g, ' ') // Normalize whitespace
+      .trim();
+  }
+
+  async waitForElementToBeVisible(element, timeout = 5000) {
+    const startTime = Date.now();
+
+    while ((Date.now() - startTime) < timeout) {
+      if (this.isElementVisible(element)) {
+        return true;
       }
 
       await this.delay(100);
@@ -879,9 +1725,103 @@ class E2EContentScript {
     return false;
   }
 
+  // Repeats the actionability checks until they all pass; returns null then,
+  // or what the element still was not when the time ran out
+  async waitForActionable(element, step, timeout) {
+    const startTime = Date.now();
+    let failure;
+
+    while (true) {
+      failure = await this.checkActionability(element, step);
+      if (!failure || Date.now() - startTime >= timeout) break;
+      await this.delay(100);
+    }
+
+    return failure;
+  }
+
+  // The checks, in order: attached, visible, stable, enabled, and for
+  // pointer actions not covered by another element. Each failure reads as
+  // the end of "waiting for element ... to be"
+  async checkActionability(element, step) {
+    if (!element.isConnected) return 'attached to the page';
+
+    // Keys sent to the page as a whole
+    if (element === document.body || element === document.documentElement) return null;
+
+    if (!this.isElementVisible(element)) return 'visible';
+
+    const before = element.getBoundingClientRect();
+    await this.nextFrame();
+    const after = element.getBoundingClientRect();
+    if (before.x !== after.x || before.y !== after.y || before.width !== after.width || before.height !== after.height) {
+      return 'stable (it is still moving)';
+    }
+
+    if (step.type !== 'hover' && (element.matches(':disabled') || element.closest('[aria-disabled="true"]'))) {
+      return 'enabled';
+    }
+
+    const pointerAction = ['click', 'dblclick', 'contextmenu', 'hover', 'drag'].includes(step.type) ||
+      (step.type === 'change' && (element.type === 'checkbox' || element.type === 'radio'));
+    if (pointerAction) {
+      const hit = this.hitTarget(element, after);
+      if (!this.receivesPointer(element, hit)) {
+        return hit ?
+          `uncovered (${this.describeElement(hit)} is on top of it)` :
+          'uncovered (its centre is outside the viewport)';
+      }
+    }
+
+    return null;
+  }
+
+  // Topmost element at the centre of the rect, ignoring the recorder's own
+  // overlay; inside a shadow root the root has to do the hit test
+  hitTarget(element, rect) {
+    const root = element.getRootNode();
+    const scope = typeof root.elementsFromPoint === 'function' ? root : document;
+    return scope.elementsFromPoint(rect.left + rect.width / 2, rect.top + rect.height / 2)
+      .find(candidate => !this.isRecorderUI(candidate)) || null;
+  }
+
+  // A click on a custom checkbox usually lands on its label, which still reaches it
+  receivesPointer(element, hit) {
+    if (!hit) return false;
+    if (hit === element || element.contains(hit)) return true;
+    const label = hit.closest('label');
+    return !!(label && label.control === element);
+  }
+
+  describeElement(element) {
+    const id = element.id ? `#${element.id}` : '';
+    const classes = typeof element.className === 'string' && element.className.trim() ?
+      `.${element.className.trim().split(/\s+/).slice(0, 2).join('.')}` : '';
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+  }
+
+  // requestAnimationFrame does not run in a background tab, so fall back to a timer
+  nextFrame() {
+    return new Promise(resolve => {
+      requestAnimationFrame(() => resolve());
+      setTimeout(resolve, 50);
+    });
+  }
+
+  isElementVisible(element) {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return rect.width > 0 && rect.height > 0 &&
+           style.visibility !== 'hidden' &&
+           style.display !== 'none';
+  }
+
 
   async debugSelector(selector) {
-    console.log('🔍 Debugging selector:', selector);
+    console.log('🔍 Debugging selector:', SelectorUtils.format(selector));
+
+    // The hints below pick apart CSS; XPath and locator objects have nothing to pick apart
+    if (typeof selector !== 'string' || SelectorUtils.isXPath(selector)) return;
 
     try {
       // Check if selector contains ID
@@ -1030,6 +1970,36 @@ class E2EContentScript {
     return fullSelector;
   }
 
+  // An XPath from the nearest ancestor with an id (or the document root),
+  // using positional steps only where a tag repeats among its siblings
+  generateXPath(element) {
+    // XPath cannot address nodes inside a shadow tree
+    if (element.getRootNode() instanceof ShadowRoot) return null;
+
+    if (element.id) {
+      return `xpath=//*[@id=${SelectorUtils.toXPathLiteral(element.id)}]`;
+    }
+
+    const steps = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      if (current.id) {
+        steps.unshift(`//*[@id=${SelectorUtils.toXPathLiteral(current.id)}]`);
+        break;
+      }
+
+      const tag = current.nodeName.toLowerCase();
+      const sameTag = current.parentElement ?
+        Array.from(current.parentElement.children).filter(child => child.nodeName === current.nodeName) :
+        [current];
+      steps.unshift(sameTag.length > 1 ? `/${tag}[${sameTag.indexOf(current) + 1}]` : `/${tag}`);
+      current = current.parentElement;
+    }
+
+    return `xpath=${steps.join('')}`;
+  }
+
   showTestResult(success, testName, totalSteps, errorMessage, duration = null) {
     const resultModal = document.createElement('div');
     resultModal.style.cssText = `
@@ -1161,6 +2131,117 @@ class E2EContentScript {
   recordStep(step) {
     this.recordedSteps.push(step);
     console.log('Step recorded:', step);
+
+    // Stream the step to the background session so it survives page loads;
+    // steps recorded inside an iframe carry the selectors leading to it
+    this.getFramePath()
+      .then(framePath => {
+        if (framePath.length > 0) {
+          step.framePath = framePath;
+        }
+        return chrome.runtime.sendMessage({ action: 'recordStep', step });
+      })
+      .catch(error => console.error('Failed to send recorded step to background:', error));
+  }
+
+  getFramePath() {
+    if (!this.framePathPromise) {
+      this.framePathPromise = this.computeFramePath().catch(error => {
+        this.framePathPromise = null;
+        throw error;
+      });
+    }
+    return this.framePathPromise;
+  }
+
+  // Selectors for the iframes between the top document and this frame,
+  // outermost first. The parent frame's content script generates each one,
+  // since a cross-origin child cannot see its own <iframe> element
+  computeFramePath(timeout = 2000) {
+    if (this.isTopFrame) {
+      return Promise.resolve([]);
+    }
+    return this.requestFromParent('e2e-recorder:frame-path', 'this frame\'s path', timeout)
+      .then(data => data.framePath);
+  }
+
+  // Where this frame's viewport sits in the top frame's viewport. Not cached:
+  // scrolling the parent moves it
+  computeFrameOffset(timeout = 2000) {
+    if (this.isTopFrame) {
+      return Promise.resolve({ x: 0, y: 0 });
+    }
+    return this.requestFromParent('e2e-recorder:frame-offset', 'this frame\'s position', timeout)
+      .then(data => ({ x: data.x, y: data.y }));
+  }
+
+  // Ask the parent frame's content script about this frame; it answers with
+  // a message of the given type carrying the same requestId
+  requestFromParent(type, subject, timeout) {
+    return new Promise((resolve, reject) => {
+      const requestId = `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+      const onMessage = (event) => {
+        const data = event.data;
+        if (event.source !== window.parent || !data || data.type !== type || data.requestId !== requestId) {
+          return;
+        }
+        window.removeEventListener('message', onMessage);
+        clearTimeout(timer);
+        resolve(data);
+      };
+      const timer = setTimeout(() => {
+        window.removeEventListener('message', onMessage);
+        reject(new Error(`Parent frame did not report ${subject}`));
+      }, timeout);
+
+      window.addEventListener('message', onMessage);
+      window.parent.postMessage({ type: `${type}-request`, requestId }, '*');
+    });
+  }
+
+  findChildFrame(source) {
+    return Array.from(document.querySelectorAll('iframe, frame'))
+      .find(candidate => candidate.contentWindow === source);
+  }
+
+  handleFrameOffsetRequest = (event) => {
+    const data = event.data;
+    if (!data || data.type !== 'e2e-recorder:frame-offset-request') return;
+
+    const frame = this.findChildFrame(event.source);
+    if (!frame) return;
+
+    this.computeFrameOffset()
+      .then(parentOffset => {
+        // The child's viewport starts inside the iframe's border and padding
+        const rect = frame.getBoundingClientRect();
+        const style = window.getComputedStyle(frame);
+        event.source.postMessage({
+          type: 'e2e-recorder:frame-offset',
+          requestId: data.requestId,
+          x: parentOffset.x + rect.left + frame.clientLeft + parseFloat(style.paddingLeft),
+          y: parentOffset.y + rect.top + frame.clientTop + parseFloat(style.paddingTop)
+        }, '*');
+      })
+      .catch(error => console.warn('Could not report frame position:', error));
+  }
+
+  handleFramePathRequest = (event) => {
+    const data = event.data;
+    if (!data || data.type !== 'e2e-recorder:frame-path-request') return;
+
+    const frame = this.findChildFrame(event.source);
+    if (!frame) return;
+
+    this.computeFramePath()
+      .then(parentPath => {
+        event.source.postMessage({
+          type: 'e2e-recorder:frame-path',
+          requestId: data.requestId,
+          framePath: [...parentPath, this.generateSelector(frame)]
+        }, '*');
+      })
+      .catch(error => console.warn('Could not report frame path:', error));
   }
 
   async captureScreenshot() {
@@ -1257,112 +2338,66 @@ class E2EContentScript {
     });
   }
 
-  async saveRecordedSteps() {
-    const testData = {
-      name: this.currentTestName,
-      startUrl: this.startUrl,
-      steps: this.recordedSteps,
-      createdAt: new Date().toISOString()
-    };
-
-    console.log(`💾 Saving test "${this.currentTestName}" with start URL: ${this.startUrl}`);
-
-    await chrome.storage.local.set({
-      [`recording_${this.currentTestName}`]: testData
-    });
-  }
+  // Run one step on behalf of the background replay orchestrator
+  async runReplayStep(message) {
+    const { step, stepNumber, totalSteps, testName } = message;
 
-  async replayTest(test, executionId = null) {
-    if (this.isReplaying) {
-      console.warn('⚠️ Test already in progress, ignoring duplicate request');
-      return;
+    if (!this.isReplaying || this.currentExecutionId !== message.executionId) {
+      console.log(`🎬 Replaying "${testName}" (ID: ${message.executionId}) from step ${stepNumber}`);
+      this.isTestInterrupted = false;
     }
 
-    console.log(`🎬 Starting test replay: "${test.name}" (ID: ${executionId})`);
-
-    // Clear any previous interruption flag
-    this.isTestInterrupted = false;
-
-    // Store execution ID for message tracking
-    this.currentExecutionId = executionId;
-
-    // Set replaying state with timeout protection
     this.isReplaying = true;
-    this.currentReplayTimeout = setTimeout(() => {
-      console.error('🚨 Test replay timed out after 10 seconds, forcing state reset');
-      this.forceResetReplayState();
-    }, 10000); // 10 second timeout
+    this.trustedInput = !!message.trustedInput;
+    this.currentExecutionId = message.executionId;
+    this.currentTestId = message.testId;
 
-    this.overlay.textContent = `Replaying: ${test.name}`;
     this.overlay.style.display = 'block';
     this.overlay.style.background = '#1d4ed8';
 
-    const startTime = Date.now();
-
-    try {
-      // Execute test steps from the beginning - navigation steps will handle URL navigation
-      await this.executeTestSteps(test, 0, startTime);
+    const result = await this.executeStep(step, stepNumber, totalSteps, message.timeout);
 
-    } catch (error) {
-      console.error('❌ Replay failed:', error);
-      this.handleTestFailure(test, error, startTime);
-      // Ensure state is reset even if handleTestFailure fails
-      if (this.isReplaying) {
-        console.warn('⚠️ State still locked after error, forcing reset');
-        this.forceResetReplayState();
-      }
-    } finally {
-      // Always clear timeout when test completes (success or failure)
-      if (this.currentReplayTimeout) {
-        clearTimeout(this.currentReplayTimeout);
-        this.currentReplayTimeout = null;
-      }
-      // Double-check state is reset
-      if (this.isReplaying) {
-        console.warn('⚠️ State still locked in finally block, forcing reset');
-        this.forceResetReplayState();
-      }
-    }
-  }
+    // Update progress in overlay
+    const progress = Math.round((stepNumber / totalSteps) * 100);
+    this.overlay.textContent = `Replaying: ${testName} (${progress}%)`;
 
-  async saveTestExecutionState(test, currentStepIndex, startTime) {
-    try {
-      // Content script doesn't have access to chrome.tabs
-      // Background script will determine the tab ID from sender
-      await chrome.runtime.sendMessage({
-        action: 'saveTestExecutionState',
-        testData: test,
-        currentStepIndex: currentStepIndex,
-        startTime: startTime
-      });
-    } catch (error) {
-      console.error('Failed to save test execution state:', error);
-    }
+    return result || {};
   }
 
-  async resumeTest(executionState) {
-    if (this.isReplaying) return;
+  showReplayResult(result) {
+    const { success, testName, totalSteps, error, duration, healedSteps } = result;
 
-    console.log('🔄 Resuming test from saved state:', executionState);
-
-    // Clear any previous interruption flag
+    this.isReplaying = false;
     this.isTestInterrupted = false;
+    this.currentExecutionId = null;
+    this.clearHighlight();
 
-    this.isReplaying = true;
-    this.overlay.textContent = `Resuming test...`;
+    if (success) {
+      const healedCount = (healedSteps || []).length;
+      this.overlay.textContent = `✓ Replay completed: ${testName}${healedCount > 0 ? ` (${healedCount} selector${healedCount > 1 ? 's' : ''} healed)` : ''}`;
+      this.overlay.style.background = '#10b981';
+      console.log(`✅ Test "${testName}" completed successfully in ${duration}ms`);
+    } else {
+      console.error(`❌ Test "${testName}" failed: ${error}`);
+      this.overlay.textContent = `✗ Replay failed: ${error}`;
+      this.overlay.style.background = '#dc2626';
+      this.overlay.style.zIndex = '10003';
+      this.showScreenshotIndicator(`❌ Test Failed: ${error.substring(0, 50)}...`, 3000);
+    }
     this.overlay.style.display = 'block';
-    this.overlay.style.background = '#1d4ed8';
 
     try {
-      await this.executeTestSteps(
-        executionState.testData,
-        executionState.currentStepIndex,
-        executionState.startTime
-      );
-    } catch (error) {
-      console.error('Failed to resume test:', error);
-      this.handleTestFailure(executionState.testData, error, executionState.startTime);
+      this.showTestResult(success, testName, totalSteps, error, duration);
+    } catch (uiError) {
+      console.error('Failed to show test result modal:', uiError);
     }
+
+    // Show failures slightly longer
+    setTimeout(() => {
+      if (this.overlay && !this.isReplaying) {
+        this.overlay.style.display = 'none';
+      }
+    }, success ? 2000 : 5000);
   }
 
   // Force reset replay state - used for recovery
@@ -1375,28 +2410,18 @@ class E2EContentScript {
       return;
     }
 
-    if (!this.isReplaying) {
-      console.log('⚠️ No test is currently replaying');
-      return;
-    }
-
-    console.log(`  Stopping test execution for ID: ${this.currentExecutionId}`);
-
-    // Set interruption flag to stop ongoing test execution
+    // Set interruption flag to stop the step that may still be running
     this.isTestInterrupted = true;
 
     // Reset replay state
     this.isReplaying = false;
     this.currentExecutionId = null;
-
-    if (this.currentReplayTimeout) {
-      clearTimeout(this.currentReplayTimeout);
-      this.currentReplayTimeout = null;
-    }
+    this.clearHighlight();
 
     if (this.overlay) {
       this.overlay.textContent = 'Test stopped by user';
       this.overlay.style.background = '#ef4444';
+      this.overlay.style.display = 'block';
       // Hide after showing message
       setTimeout(() => {
         if (this.overlay) {
@@ -1405,25 +2430,6 @@ class E2EContentScript {
       }, 2000);
     }
 
-    // Clear execution state from background
-    try {
-      chrome.runtime.sendMessage({ action: 'clearTestExecutionState' });
-    } catch (error) {
-      console.warn('Failed to clear execution state during force stop:', error);
-    }
-
-    // Notify popup that test was stopped
-    try {
-      chrome.runtime.sendMessage({
-        action: 'testCompleted',
-        testName: 'Force Stopped',
-        executionId: executionId,
-        forceStopped: true
-      });
-    } catch (error) {
-      console.warn('Failed to notify popup of force stop:', error);
-    }
-
     // Reset interruption flag after a short delay to allow for cleanup
     setTimeout(() => {
       this.isTestInterrupted = false;
@@ -1438,6 +2444,7 @@ class E2EContentScript {
     console.log(`  Before reset - isRecording: ${this.isRecording}, isReplaying: ${this.isReplaying}`);
 
     // Reset recording state
+    this.exitAssertionMode();
     this.isRecording = false;
     this.currentTestName = null;
     this.recordedSteps = [];
@@ -1449,16 +2456,11 @@ class E2EContentScript {
     this.isTestInterrupted = false; // Clear interruption flag
     this.currentExecutionId = null; // Clear execution ID
 
-    if (this.currentReplayTimeout) {
-      clearTimeout(this.currentReplayTimeout);
-      this.currentReplayTimeout = null;
-    }
-
     if (this.overlay) {
       this.overlay.style.display = 'none';
     }
 
-    // Clear any pending execution state
+    // Stop the background run for this tab, if any
     try {
       chrome.runtime.sendMessage({ action: 'clearTestExecutionState' });
     } catch (error) {
@@ -1475,7 +2477,6 @@ class E2EContentScript {
     console.log(`  isReplaying: ${this.isReplaying}`);
     console.log(`  isRecording: ${this.isRecording}`);
     console.log(`  currentTestName: ${this.currentTestName}`);
-    console.log(`  hasTimeout: ${!!this.currentReplayTimeout}`);
     console.log(`  overlay visible: ${this.overlay?.style?.display !== 'none'}`);
     return {
       isReplaying: this.isReplaying,
@@ -1484,269 +2485,86 @@ class E2EContentScript {
     };
   }
 
-  async executeTestSteps(test, startStepIndex, startTime) {
-    // Handle both old format (direct array) and new format (object with steps property)
-    const steps = Array.isArray(test) ? test : (test.steps || test);
-    const testName = test.name || 'Unnamed Test';
+  // timeout is the step's resolved wait budget (step, then test, then settings)
+  async executeStep(step, currentStep, totalSteps, timeout = this.settings.stepTimeout) {
+    // Check for interruption at the start of each step
+    if (this.isTestInterrupted) {
+      console.log('🛑 Step execution interrupted');
+      throw new Error('Test execution was interrupted');
+    }
 
-    console.log(`🎬 Executing ${steps.length} steps for "${testName}" starting from step ${startStepIndex}`);
+    this.overlay.textContent = `Replaying: ${currentStep}/${totalSteps}`;
 
-    try {
-      for (let i = startStepIndex; i < steps.length; i++) {
-        const step = steps[i];
+    // Handle screenshot steps differently (no element interaction needed)
+    if (step.type === 'screenshot') {
+      // Show visual indicator for screenshot step
+      this.overlay.textContent = `Screenshot checkpoint: ${currentStep}/${totalSteps}`;
+      this.showScreenshotIndicator('Comparing visual checkpoint...');
 
-        // Check if test execution was cancelled or interrupted
-        if (!this.isReplaying || this.isTestInterrupted) {
-          console.log(`🛑 Test execution was ${this.isTestInterrupted ? 'interrupted' : 'cancelled'}`);
-          return;
+      // Element checkpoints (from the assertion picker) need their element first
+      let checkpointElement = null;
+      if (step.selector) {
+        checkpointElement = await this.findElementWithRetry(step.selector, {
+          timeout: timeout,
+          waitBetweenAttempts: 250,
+          waitForElement: true
+        });
+        if (!checkpointElement) {
+          throw new Error(`${SelectorUtils.describeStep(step, currentStep)} timed out after ${timeout}ms waiting for ${this.describeElementWait(step)}`);
         }
+      }
 
-        console.log(`📍 Executing step ${i + 1}/${steps.length}: ${step.type}`);
-
-        // Save progress before each step (in case of navigation)
-        await this.saveTestExecutionState(test, i + 1, startTime);
-
-        // Send progress update to popup
+      // Capture current screenshot for comparison
+      let visualDiff = null;
+      if (checkpointElement && (step.screenshotRef || step.screenshot)) {
         try {
-          chrome.runtime.sendMessage({
-            action: 'testProgress',
-            testName: testName,
-            currentStep: i + 1,
-            totalSteps: steps.length,
-            executionId: this.currentExecutionId
-          });
+          const baselineScreenshot = await this.loadBaselineScreenshot(step);
+          const currentScreenshot = await this.captureElementScreenshot(checkpointElement);
+          if (currentScreenshot) {
+            visualDiff = await this.compareScreenshots(baselineScreenshot, currentScreenshot);
+            console.log(`Element checkpoint comparison result: ${visualDiff.differencePercentage.toFixed(2)}% difference`);
+          }
         } catch (error) {
-          // Ignore error, progress update is not critical
+          console.error('Failed to compare element checkpoint:', error);
+          visualDiff = null;
         }
+      } else if (step.screenshotRef || step.screenshot) {
+        try {
+          console.log('Starting screenshot capture for comparison...');
+          const baselineScreenshot = await this.loadBaselineScreenshot(step);
 
-        await this.executeStep(step, i + 1, steps.length);
-
-        // Update progress in overlay
-        const progress = Math.round(((i + 1) / steps.length) * 100);
-        this.overlay.textContent = `Replaying: ${testName} (${progress}%)`;
+          // Restore all scroll positions if available
+          console.log('Screenshot step:', step);
+          if (step.scrollPositions) {
+            console.log('📍 Restoring all scroll positions for screenshot');
+            ScrollManager.restoreScrollPositions(step.scrollPositions);
+            await this.delay(300); // Wait for scroll to complete
+          } else if (step.scrollPosition) {
+            // Fallback for old format
+            console.log(`📍 Restoring legacy scroll position: x=${step.scrollPosition.x}, y=${step.scrollPosition.y}`);
+            window.scrollTo(step.scrollPosition.x, step.scrollPosition.y);
+            document.documentElement.scrollTop = step.scrollPosition.y;
+            document.documentElement.scrollLeft = step.scrollPosition.x;
+            document.body.scrollTop = step.scrollPosition.y;
+            document.body.scrollLeft = step.scrollPosition.x;
+            await this.delay(300);
+          } else {
+            console.warn('⚠️ No scroll positions found in screenshot step');
+          }
 
-        await this.delay(this.settings.replayDelay);
-      }
+          // Hide all indicators before taking screenshot to avoid interference
+          this.hideAllIndicators();
+          await this.delay(200); // Brief delay to ensure indicators are hidden
 
-      // Test completed successfully
-      console.log(`✅ All steps completed for "${testName}"`);
-      await this.handleTestSuccess(testName, steps.length, startTime);
-
-    } catch (error) {
-      console.error(`💥 Test execution failed at step: ${error.message}`);
-      throw error; // Re-throw to be handled by caller
-    }
-  }
-
-  async handleTestSuccess(testName, totalSteps, startTime) {
-    this.overlay.textContent = `✓ Replay completed: ${testName}`;
-    this.overlay.style.background = '#10b981';
-
-    const duration = Date.now() - startTime;
-    this.showTestResult(true, testName, totalSteps, null, duration);
-
-    console.log(`✅ Test "${testName}" completed successfully in ${duration}ms`);
-
-    // Immediately reset replay state to prevent UI inconsistency
-    const completedExecutionId = this.currentExecutionId;
-    this.isReplaying = false;
-    this.isTestInterrupted = false;
-    this.currentExecutionId = null;
-
-    // Clear timeout if any
-    if (this.currentReplayTimeout) {
-      clearTimeout(this.currentReplayTimeout);
-      this.currentReplayTimeout = null;
-    }
-
-    // Notify popup about test completion with delay to ensure UI sees the success state
-    try {
-      chrome.runtime.sendMessage({
-        action: 'testCompleted',
-        testName: testName,
-        duration: duration,
-        executionId: completedExecutionId
-      });
-    } catch (error) {
-      console.warn('Failed to notify popup about test completion:', error);
-    }
-
-    // Clean up execution state
-    await this.cleanupTestExecution();
-  }
-
-  async cleanupTestExecution() {
-    try {
-      await chrome.runtime.sendMessage({ action: 'clearTestExecutionState' });
-      console.log('🧹 Test execution state cleaned up');
-    } catch (error) {
-      console.warn('Failed to clear execution state:', error);
-    }
-
-    // Reset all state immediately instead of using setTimeout
-    this.isReplaying = false;
-    this.isTestInterrupted = false; // Clear interruption flag
-    if (this.currentReplayTimeout) {
-      clearTimeout(this.currentReplayTimeout);
-      this.currentReplayTimeout = null;
-    }
-
-    // Hide overlay after brief delay for visual feedback
-    setTimeout(() => {
-      if (this.overlay) {
-        this.overlay.style.display = 'none';
-      }
-    }, 2000);
-  }
-
-  handleTestFailure(test, error, startTime) {
-    const steps = Array.isArray(test) ? test : (test.steps || test);
-    const testName = test.name || 'Unnamed Test';
-
-    console.error(`❌ Test "${testName}" failed:`, error);
-    console.log(`🔄 Current isReplaying state before cleanup: ${this.isReplaying}`);
-
-    // Immediately reset replay state to prevent UI inconsistency
-    const failedExecutionId = this.currentExecutionId;
-    this.isReplaying = false;
-    this.isTestInterrupted = false;
-    this.currentExecutionId = null;
-
-    // Clear timeout if any
-    if (this.currentReplayTimeout) {
-      clearTimeout(this.currentReplayTimeout);
-      this.currentReplayTimeout = null;
-    }
-
-    console.log(`✅ Current isReplaying state after cleanup: ${this.isReplaying}`);
-
-    // Notify popup about test failure
-    try {
-      chrome.runtime.sendMessage({
-        action: 'testFailed',
-        testName: testName,
-        error: error.message,
-        executionId: failedExecutionId
-      });
-    } catch (msgError) {
-      console.warn('Failed to notify popup about test failure:', msgError);
-    }
-
-    // Now handle UI updates
-    this.overlay.textContent = `✗ Replay failed: ${error.message}`;
-    this.overlay.style.background = '#dc2626';
-    this.overlay.style.display = 'block';
-    this.overlay.style.zIndex = '10003';
-
-    this.showScreenshotIndicator(`❌ Test Failed: ${error.message.substring(0, 50)}...`, 3000);
-
-    const duration = Date.now() - startTime;
-
-    // Show test result modal (this could potentially fail, so we do it after cleanup)
-    try {
-      this.showTestResult(false, testName, steps.length, error.message, duration);
-    } catch (uiError) {
-      console.error('Failed to show test result modal:', uiError);
-    }
-
-    // Show failure overlay slightly longer but state is already reset
-    setTimeout(() => {
-      if (this.overlay) {
-        this.overlay.style.display = 'none';
-      }
-    }, 5000);
-  }
-
-  cleanupTestExecutionSync() {
-    console.log('🧹 Synchronous cleanup after test failure');
-    console.log(`  Cleanup starting - isReplaying was: ${this.isReplaying}`);
-
-    // Reset state immediately - multiple assignments to be sure
-    this.isReplaying = false;
-
-    // Clear timeout if exists
-    if (this.currentReplayTimeout) {
-      clearTimeout(this.currentReplayTimeout);
-      this.currentReplayTimeout = null;
-    }
-
-    // Double check and force reset again
-    if (this.isReplaying === true) {
-      console.error('⚠️ CRITICAL: isReplaying still true after reset, forcing to false');
-      this.isReplaying = false;
-    }
-
-    // Clear execution state (fire and forget)
-    try {
-      chrome.runtime.sendMessage({ action: 'clearTestExecutionState' });
-    } catch (error) {
-      console.warn('Failed to clear execution state during sync cleanup:', error);
-    }
-
-    console.log(`  Cleanup complete - isReplaying is now: ${this.isReplaying}`);
-
-    // Final verification
-    if (this.isReplaying !== false) {
-      console.error('🚨 CRITICAL ERROR: State reset failed! Manual intervention required');
-      console.error('Run: window.e2eContentScript.isReplaying = false');
-      // Force it one more time
-      this.isReplaying = false;
-    }
-  }
-
-  async executeStep(step, currentStep, totalSteps) {
-    // Check for interruption at the start of each step
-    if (this.isTestInterrupted) {
-      console.log('🛑 Step execution interrupted');
-      throw new Error('Test execution was interrupted');
-    }
-
-    this.overlay.textContent = `Replaying: ${currentStep}/${totalSteps}`;
-
-    // Handle screenshot steps differently (no element interaction needed)
-    if (step.type === 'screenshot') {
-      // Show visual indicator for screenshot step
-      this.overlay.textContent = `Screenshot checkpoint: ${currentStep}/${totalSteps}`;
-      this.showScreenshotIndicator('Comparing visual checkpoint...');
-
-      // Capture current screenshot for comparison
-      let visualDiff = null;
-      if (step.screenshot) {
-        try {
-          console.log('Starting screenshot capture for comparison...');
-
-          // Restore all scroll positions if available
-          console.log('Screenshot step:', step);
-          if (step.scrollPositions) {
-            console.log('📍 Restoring all scroll positions for screenshot');
-            ScrollManager.restoreScrollPositions(step.scrollPositions);
-            await this.delay(300); // Wait for scroll to complete
-          } else if (step.scrollPosition) {
-            // Fallback for old format
-            console.log(`📍 Restoring legacy scroll position: x=${step.scrollPosition.x}, y=${step.scrollPosition.y}`);
-            window.scrollTo(step.scrollPosition.x, step.scrollPosition.y);
-            document.documentElement.scrollTop = step.scrollPosition.y;
-            document.documentElement.scrollLeft = step.scrollPosition.x;
-            document.body.scrollTop = step.scrollPosition.y;
-            document.body.scrollLeft = step.scrollPosition.x;
-            await this.delay(300);
-          } else {
-            console.warn('⚠️ No scroll positions found in screenshot step');
-          }
-
-          // Hide all indicators before taking screenshot to avoid interference
-          this.hideAllIndicators();
-          await this.delay(200); // Brief delay to ensure indicators are hidden
-
-          const currentScreenshot = await this.captureScreenshot();
-          console.log('Current screenshot captured, length:', currentScreenshot?.length);
+          const currentScreenshot = await this.captureScreenshot();
+          console.log('Current screenshot captured, length:', currentScreenshot?.length);
 
           if (currentScreenshot) {
             this.showScreenshotIndicator('Comparing screenshots...', 500);
             await this.delay(500);
 
             console.log('Starting screenshot comparison...');
-            visualDiff = await this.compareScreenshots(step.screenshot, currentScreenshot);
+            visualDiff = await this.compareScreenshots(baselineScreenshot, currentScreenshot);
             console.log(`Screenshot comparison result: ${visualDiff.differencePercentage.toFixed(2)}% difference`);
           } else {
             console.warn('No current screenshot captured');
@@ -1783,54 +2601,61 @@ class E2EContentScript {
       return; // Skip element-based logic
     }
 
-    // Handle navigation steps differently (no element interaction needed)
-    if (step.type === 'navigation') {
-      this.overlay.textContent = `Navigating: ${currentStep}/${totalSteps}`;
+    if (step.type === 'assert') {
+      await this.executeAssertStep(step, currentStep, timeout);
+      return;
+    }
 
-      if (step.action === 'start') {
-        // Initial step - ensure we're at the starting URL
-        if (step.toUrl && step.toUrl !== window.location.href) {
-          console.log(`🎬 Starting test at: ${step.toUrl}`);
-          this.showScreenshotIndicator(`🎬 Starting test at ${step.toUrl}`, 2000);
-          window.location.href = step.toUrl;
-          return;
-        } else {
-          console.log(`✅ Already at starting URL: ${step.toUrl || 'current page'}`);
-          this.showScreenshotIndicator('🎬 Test starting at correct page', 1000);
-          await this.delay(1000);
-          return;
-        }
-      } else if (step.toUrl && step.toUrl !== window.location.href) {
-        console.log(`🔗 Navigating to: ${step.toUrl}`);
-        this.showScreenshotIndicator(`🔗 Navigating to ${step.toUrl}`, 2000);
+    if (step.type === 'wait') {
+      await this.executeWaitStep(step, currentStep, timeout);
+      return;
+    }
 
-        // Navigate to the URL
-        window.location.href = step.toUrl;
-        // Navigation will interrupt execution - the test will continue after page load
-        return;
-      } else {
-        console.log(`✅ Already at target URL: ${step.toUrl || 'current page'}`);
-        this.showScreenshotIndicator('✅ Navigation step completed', 1000);
-        await this.delay(1000);
-        return;
-      }
+    if (step.type === 'extract') {
+      return this.executeExtractStep(step, currentStep, timeout);
     }
 
-    console.log(`🔍 Step ${currentStep}: ${step.type} on "${step.selector}"`);
+    // The app changes its own route in response to earlier steps; reloading
+    // the URL instead would throw away the client-side state
+    if (step.type === 'navigation' && step.action === 'route') {
+      await this.waitForRoute(step, currentStep, timeout);
+      return;
+    }
+
+    console.log(`🔍 Step ${currentStep}: ${step.type} on "${SelectorUtils.format(step.selector)}"`);
     if (step.text && step.text.trim()) {
       console.log(`🔍 Expected text: "${step.text}"`);
     }
 
-    // Use improved element finding with retries and waiting
-    const element = await this.findElementWithRetry(step.selector, {
-      maxAttempts: 5,
-      waitBetweenAttempts: 1000,
+    // The recorded selector gets the first half of the budget; with a
+    // fingerprint, the rest goes to looking for the element another way
+    const startTime = Date.now();
+    let element = await this.findElementWithRetry(step.selector, {
+      timeout: step.fingerprint ? Math.min(timeout, Math.max(2000, timeout / 2)) : timeout,
+      waitBetweenAttempts: 250,
       waitForElement: true,
       expectedText: step.text // Pass expected text for filtering
     });
 
+    let healed = null;
+    if (!element && step.fingerprint) {
+      const match = await this.healElement(step, timeout - (Date.now() - startTime));
+      if (match) {
+        element = match.element;
+        healed = {
+          stepId: step.id,
+          originalSelector: step.selector,
+          selector: match.selector,
+          candidateType: match.candidateType
+        };
+        this.showScreenshotIndicator(`⚠️ Step ${currentStep}: selector healed`, 1000);
+      }
+    }
+
     if (!element) {
-      const errorMsg = `Element not found after retries: ${step.selector}`;
+      const errorMsg = this.isValidSelector(step.selector) ?
+        `${SelectorUtils.describeStep(step, currentStep)} timed out after ${timeout}ms waiting for ${this.describeElementWait(step)}` :
+        `${SelectorUtils.describeStep(step, currentStep)} has an invalid selector`;
       console.error(`❌ ${errorMsg}`);
       console.log('💡 Tip: The page structure may have changed. Try re-recording this test.');
 
@@ -1844,14 +2669,24 @@ class E2EContentScript {
     // Ensure element is visible and scroll is complete first
     await this.scrollToElementAndWait(element);
 
+    // Acting on an element a user could not act on yet passes or fails for the wrong reason
+    const notActionable = await this.waitForActionable(element, step, Math.max(0, timeout - (Date.now() - startTime)));
+    if (notActionable) {
+      const errorMsg = `${SelectorUtils.describeStep(step, currentStep)} timed out after ${timeout}ms waiting for element "${SelectorUtils.format(step.selector)}" to be ${notActionable}`;
+      console.error(`❌ ${errorMsg}`);
+      this.showScreenshotIndicator(`❌ Step ${currentStep} failed: element not actionable`, 3000);
+      throw new Error(errorMsg);
+    }
+
     // Now highlight the element when it's visible
     this.highlightElement(element);
 
     // Capture current screenshot for visual comparison
     let visualDiff = null;
-    if (step.screenshot) {
+    if (step.screenshotRef || step.screenshot) {
       try {
         console.log('Capturing element screenshot for comparison...');
+        const baselineScreenshot = await this.loadBaselineScreenshot(step);
 
         // Get appropriate scroll position based on step type
         let scrollPosition = null;
@@ -1868,7 +2703,7 @@ class E2EContentScript {
         const currentScreenshot = await this.captureElementScreenshot(element, scrollPosition);
         if (currentScreenshot) {
           console.log('Element screenshot captured, comparing...');
-          visualDiff = await this.compareScreenshots(step.screenshot, currentScreenshot);
+          visualDiff = await this.compareScreenshots(baselineScreenshot, currentScreenshot);
           console.log(`Element screenshot comparison result: ${visualDiff.differencePercentage.toFixed(2)}% difference`);
         } else {
           console.warn('No element screenshot captured');
@@ -1881,31 +2716,11 @@ class E2EContentScript {
     }
 
     try {
-      switch (step.type) {
-        case 'click':
-          // Text validation is now done in findElementWithRetry
-          console.log(`✅ Clicking element with text: "${element.textContent?.trim() || 'no text'}"`);
-          element.click();
-          break;
-        case 'input':
-          element.focus();
-          element.value = step.value;
-          element.dispatchEvent(new Event('input', { bubbles: true }));
-          break;
-        case 'change':
-          if (element.type === 'checkbox' || element.type === 'radio') {
-            element.checked = step.value;
-          } else {
-            element.value = step.value;
-          }
-          element.dispatchEvent(new Event('change', { bubbles: true }));
-          break;
-        case 'keypress':
-          element.focus();
-          element.dispatchEvent(new KeyboardEvent('keydown', { key: step.key, bubbles: true }));
-          break;
-        default:
-          console.warn(`⚠️ Unknown step type: ${step.type}`);
+      const remaining = Math.max(1000, timeout - (Date.now() - startTime));
+      if (this.trustedInput && this.supportsTrustedInput(step, element)) {
+        await this.performTrustedStep(element, step, remaining);
+      } else {
+        await this.performSyntheticStep(element, step, remaining);
       }
       console.log(`✅ ${step.type} executed`);
     } catch (actionError) {
@@ -1928,6 +2743,656 @@ class E2EContentScript {
     // Keep highlight visible briefly after action
     await this.delay(200); // Fixed short delay for highlight visibility
     this.clearHighlight();
+
+    return healed ? { healed } : {};
+  }
+
+  async performSyntheticStep(element, step, timeout) {
+    switch (step.type) {
+      case 'click':
+        // Text validation is now done in findElementWithRetry
+        console.log(`✅ Clicking element with text: "${element.textContent?.trim() || 'no text'}"`);
+        element.click();
+        break;
+      case 'input':
+        if (step.typeDelay !== undefined) {
+          await this.typeSequentially(element, step.value, step.typeDelay);
+        } else {
+          this.fillValue(element, step.value);
+        }
+        break;
+      case 'change':
+        this.selectValue(element, step.value);
+        break;
+      case 'keypress':
+        this.performKeyPress(element, step);
+        break;
+      case 'hover':
+        this.performHover(element);
+        break;
+      case 'dblclick':
+        this.performDoubleClick(element);
+        break;
+      case 'contextmenu':
+        this.performContextMenu(element);
+        break;
+      case 'drag':
+        await this.performDrag(element, await this.findDropTarget(step, timeout), step.dragMode);
+        break;
+      default:
+        console.warn(`⚠️ Unknown step type: ${step.type}`);
+    }
+  }
+
+  async findDropTarget(step, timeout) {
+    const target = await this.findElementWithRetry(step.targetSelector, {
+      timeout: timeout,
+      waitBetweenAttempts: 250,
+      waitForElement: true
+    });
+    if (!target) {
+      throw new Error(`drop target "${SelectorUtils.format(step.targetSelector)}" was not found`);
+    }
+    return target;
+  }
+
+  // Trusted input covers what a mouse and keyboard can do; a <select> is
+  // still set directly, as its native dropdown cannot be clicked through
+  supportsTrustedInput(step, element) {
+    switch (step.type) {
+      case 'click':
+      case 'dblclick':
+      case 'contextmenu':
+      case 'hover':
+      case 'drag':
+      case 'keypress':
+        return true;
+      case 'input':
+        return this.isEditable(element);
+      case 'change':
+        return element.type === 'checkbox' || element.type === 'radio';
+      default:
+        return false;
+    }
+  }
+
+  // The background sends these through chrome.debugger as real input, aimed
+  // at the element's on-screen position
+  async performTrustedStep(element, step, timeout) {
+    const point = await this.viewportPoint(element);
+
+    switch (step.type) {
+      case 'click':
+        await this.requestTrustedInput({ kind: 'click', ...point });
+        break;
+      case 'dblclick':
+        await this.requestTrustedInput({ kind: 'click', clickCount: 2, ...point });
+        break;
+      case 'contextmenu':
+        await this.requestTrustedInput({ kind: 'click', button: 'right', ...point });
+        break;
+      case 'hover':
+        await this.requestTrustedInput({ kind: 'move', ...point });
+        break;
+      case 'change': {
+        const checked = typeof step.value === 'boolean' ? step.value : true;
+        if (element.checked !== checked) {
+          await this.requestTrustedInput({ kind: 'click', ...point });
+        }
+        break;
+      }
+      case 'drag': {
+        const to = await this.viewportPoint(await this.findDropTarget(step, timeout));
+        await this.requestTrustedInput({ kind: 'drag', ...point, toX: to.x, toY: to.y });
+        break;
+      }
+      case 'keypress':
+        element.focus();
+        await this.requestTrustedInput({
+          kind: 'key',
+          key: step.key,
+          code: step.code || '',
+          keyCode: this.keyCodeFor(step.key),
+          modifiers: step.modifiers || []
+        });
+        break;
+      case 'input':
+        element.focus();
+        this.clearField(element);
+        await this.requestTrustedInput({ kind: 'text', text: String(step.value ?? ''), typeDelay: step.typeDelay });
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+        element.blur();
+        break;
+    }
+  }
+
+  async requestTrustedInput(input) {
+    const response = await chrome.runtime.sendMessage({ action: 'trustedInput', input });
+    if (response && response.error) {
+      throw new Error(response.error);
+    }
+  }
+
+  // Centre of the element in the top frame's viewport, which is where
+  // debugger input is aimed even for elements inside iframes
+  async viewportPoint(element) {
+    const rect = element.getBoundingClientRect();
+    const offset = await this.computeFrameOffset();
+    return {
+      x: offset.x + rect.left + rect.width / 2,
+      y: offset.y + rect.top + rect.height / 2
+    };
+  }
+
+  // Legacy keyCode values; plenty of keyboard handlers still switch on them
+  keyCodeFor(key) {
+    const named = {
+      Backspace: 8, Tab: 9, Enter: 13, Escape: 27, ' ': 32, PageUp: 33, PageDown: 34, End: 35, Home: 36,
+      ArrowLeft: 37, ArrowUp: 38, ArrowRight: 39, ArrowDown: 40, Insert: 45, Delete: 46
+    };
+    if (key in named) return named[key];
+    if (/^F([1-9]|1[0-2])$/.test(key)) return 111 + Number(key.slice(1));
+    if (/^[a-z0-9]$/i.test(key)) return key.toUpperCase().charCodeAt(0);
+    return 0;
+  }
+
+  // Replays the whole sequence a real key press produces. Synthetic events
+  // have no default action, so the ones keyboard-driven pages rely on are
+  // carried out here: typing the character, a newline, implicit form
+  // submission on Enter and focus moving on Tab.
+  performKeyPress(element, step) {
+    const modifiers = step.modifiers || [];
+    const keyCode = this.keyCodeFor(step.key);
+    const init = {
+      key: step.key,
+      code: step.code || '',
+      keyCode: keyCode,
+      which: keyCode,
+      ctrlKey: modifiers.includes('Control'),
+      altKey: modifiers.includes('Alt'),
+      shiftKey: modifiers.includes('Shift'),
+      metaKey: modifiers.includes('Meta'),
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      view: window
+    };
+
+    if (element !== document.activeElement && typeof element.focus === 'function') {
+      element.focus();
+    }
+
+    const commandHeld = init.ctrlKey || init.metaKey || init.altKey;
+    const text = step.key === 'Enter' ? '\n' : (step.key.length === 1 && !commandHeld ? step.key : null);
+
+    const proceed = element.dispatchEvent(new KeyboardEvent('keydown', init));
+
+    if (proceed && text !== null) {
+      const charCode = text === '\n' ? 13 : text.charCodeAt(0);
+      const typed = element.dispatchEvent(new KeyboardEvent('keypress', { ...init, keyCode: charCode, which: charCode, charCode }));
+
+      if (typed && this.isEditable(element) && !(step.key === 'Enter' && element.tagName === 'INPUT')) {
+        this.insertText(element, text);
+      } else if (typed && step.key === 'Enter' && element.tagName === 'INPUT' && element.form) {
+        element.form.requestSubmit();
+      }
+    } else if (proceed && step.key === 'Tab' && !commandHeld) {
+      this.moveFocus(element, init.shiftKey ? -1 : 1);
+    }
+
+    (document.activeElement || element).dispatchEvent(new KeyboardEvent('keyup', init));
+  }
+
+  // Frameworks can wrap an input's own value property (React's value tracker
+  // does) and would take an assignment through it as already seen; the
+  // prototype's setter changes the value underneath them, so the input event
+  // that follows reads as a real edit
+  setNativeValue(element, property, value) {
+    for (let prototype = Object.getPrototypeOf(element); prototype; prototype = Object.getPrototypeOf(prototype)) {
+      const descriptor = Object.getOwnPropertyDescriptor(prototype, property);
+      if (descriptor && descriptor.set) {
+        descriptor.set.call(element, value);
+        return;
+      }
+    }
+    element[property] = value;
+  }
+
+  // The events a user produces filling in a field and leaving it, so both
+  // per-keystroke (React, Vue) and on-change/on-blur (Angular) bindings update
+  fillValue(element, value) {
+    const data = String(value ?? '');
+    element.focus();
+
+    const init = { inputType: 'insertReplacementText', data, bubbles: true, composed: true };
+    if (element.dispatchEvent(new InputEvent('beforeinput', { ...init, cancelable: true }))) {
+      this.setNativeValue(element, 'value', data);
+      element.dispatchEvent(new InputEvent('input', init));
+    }
+
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    element.blur();
+  }
+
+  // Frameworks hear about checkboxes and radios through the click that
+  // toggles them (React's onChange listens for click), so click when the
+  // state differs rather than setting checked
+  selectValue(element, value) {
+    element.focus();
+
+    if (element.type === 'checkbox' || element.type === 'radio') {
+      // A radio step holds the chosen option's value: it should end up checked
+      const checked = typeof value === 'boolean' ? value : true;
+      if (element.checked !== checked) {
+        element.click();
+      }
+    } else {
+      this.setNativeValue(element, 'value', value);
+      element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    element.blur();
+  }
+
+  clearField(element) {
+    if (element.isContentEditable) {
+      element.textContent = '';
+    } else {
+      this.setNativeValue(element, 'value', '');
+    }
+    element.dispatchEvent(new InputEvent('input', { inputType: 'deleteContent', bubbles: true, composed: true }));
+  }
+
+  // For fields that autocomplete or validate per keystroke: clear the field,
+  // then press each character with its full key event sequence
+  async typeSequentially(element, value, typeDelay) {
+    element.focus();
+    this.clearField(element);
+
+    for (const character of String(value ?? '')) {
+      this.performKeyPress(element, { key: character, code: '' });
+      await this.delay(Number(typeDelay) || 0);
+    }
+
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    element.blur();
+  }
+
+  insertText(element, text) {
+    const inputType = text === '\n' ? 'insertLineBreak' : 'insertText';
+
+    // execCommand edits contenteditable the way typing does, input events included
+    if (element.isContentEditable) {
+      document.execCommand(inputType, false, text === '\n' ? null : text);
+      return;
+    }
+
+    const data = text === '\n' ? null : text;
+    if (!element.dispatchEvent(new InputEvent('beforeinput', { inputType, data, bubbles: true, cancelable: true, composed: true }))) {
+      return;
+    }
+    try {
+      element.setRangeText(text, element.selectionStart, element.selectionEnd, 'end');
+    } catch (error) {
+      // email and number inputs have no selection API
+      this.setNativeValue(element, 'value', element.value + text);
+    }
+    element.dispatchEvent(new InputEvent('input', { inputType, data, bubbles: true, composed: true }));
+  }
+
+  // Tab order without positive tabindex values, which are rare in practice
+  moveFocus(element, direction) {
+    const focusable = Array.from(document.querySelectorAll(
+      'a[href], button, input, select, textarea, summary, [tabindex], [contenteditable=""], [contenteditable="true"]'
+    )).filter(candidate => candidate.tabIndex >= 0 && !candidate.disabled && this.isElementVisible(candidate));
+    if (focusable.length === 0) return;
+
+    const index = focusable.indexOf(element);
+    const next = focusable[(index + direction + focusable.length) % focusable.length];
+    next.focus();
+  }
+
+  // Synthetic mouse events aimed at the middle of the element, as a real pointer would be
+  mouseEventInit(element, init = {}) {
+    const rect = element.getBoundingClientRect();
+    return {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      view: window,
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2,
+      ...init
+    };
+  }
+
+  // mouseenter does not bubble, so each ancestor the pointer enters gets its own
+  performHover(element) {
+    const init = this.mouseEventInit(element);
+    element.dispatchEvent(new PointerEvent('pointerover', { ...init, pointerType: 'mouse', isPrimary: true }));
+    element.dispatchEvent(new MouseEvent('mouseover', init));
+    for (let node = element; node && node !== document.documentElement; node = node.parentElement) {
+      node.dispatchEvent(new PointerEvent('pointerenter', { ...init, bubbles: false, pointerType: 'mouse', isPrimary: true }));
+      node.dispatchEvent(new MouseEvent('mouseenter', { ...init, bubbles: false }));
+    }
+    element.dispatchEvent(new PointerEvent('pointermove', { ...init, pointerType: 'mouse', isPrimary: true }));
+    element.dispatchEvent(new MouseEvent('mousemove', init));
+  }
+
+  performDoubleClick(element) {
+    for (const detail of [1, 2]) {
+      const init = this.mouseEventInit(element, { detail, button: 0 });
+      element.dispatchEvent(new MouseEvent('mousedown', { ...init, buttons: 1 }));
+      element.dispatchEvent(new MouseEvent('mouseup', init));
+      element.dispatchEvent(new MouseEvent('click', init));
+    }
+    element.dispatchEvent(new MouseEvent('dblclick', this.mouseEventInit(element, { detail: 2, button: 0 })));
+  }
+
+  performContextMenu(element) {
+    const init = this.mouseEventInit(element, { button: 2 });
+    element.dispatchEvent(new MouseEvent('mousedown', { ...init, buttons: 2 }));
+    element.dispatchEvent(new MouseEvent('mouseup', init));
+    element.dispatchEvent(new MouseEvent('contextmenu', init));
+  }
+
+  async performDrag(source, target, dragMode) {
+    const from = this.mouseEventInit(source);
+    const to = this.mouseEventInit(target);
+
+    if (dragMode === 'html5') {
+      const dataTransfer = new DataTransfer();
+      const fire = (element, type, point) =>
+        element.dispatchEvent(new DragEvent(type, { ...point, dataTransfer }));
+      fire(source, 'dragstart', from);
+      fire(source, 'drag', from);
+      fire(target, 'dragenter', to);
+      fire(target, 'dragover', to);
+      fire(target, 'drop', to);
+      fire(source, 'dragend', to);
+      return;
+    }
+
+    // Pointer-driven libraries follow moves on the document and hit-test the
+    // pointer, so each move goes to whatever is under it, one frame at a time
+    const fire = (element, kind, point, buttons) => {
+      const init = { ...point, button: 0, buttons };
+      element.dispatchEvent(new PointerEvent(`pointer${kind}`, { ...init, pointerId: 1, pointerType: 'mouse', isPrimary: true }));
+      element.dispatchEvent(new MouseEvent(`mouse${kind}`, init));
+    };
+
+    fire(source, 'down', from, 1);
+    const moves = 10;
+    for (let i = 1; i <= moves; i++) {
+      const point = {
+        ...from,
+        clientX: from.clientX + (to.clientX - from.clientX) * i / moves,
+        clientY: from.clientY + (to.clientY - from.clientY) * i / moves
+      };
+      fire(document.elementFromPoint(point.clientX, point.clientY) || target, 'move', point, 1);
+      await this.delay(16);
+    }
+    fire(document.elementFromPoint(to.clientX, to.clientY) || target, 'up', to, 0);
+  }
+
+  async waitForRoute(step, currentStep, timeout) {
+    console.log(`🧭 Step ${currentStep}: waiting for route ${step.toUrl}`);
+
+    const startTime = Date.now();
+    while (window.location.href !== step.toUrl) {
+      if (Date.now() - startTime >= timeout) {
+        throw new Error(`${SelectorUtils.describeStep(step, currentStep)} timed out after ${timeout}ms waiting for the URL to become "${step.toUrl}" (still "${window.location.href}")`);
+      }
+      await this.delay(100);
+    }
+
+    console.log(`✅ Route reached: ${step.toUrl}`);
+  }
+
+  // The value goes back to the background, which keeps the run's variables
+  async executeExtractStep(step, currentStep, timeout) {
+    console.log(`📦 Step ${currentStep}: extract ${step.source} into {{${step.variable}}}`);
+
+    let value;
+    if (step.source === 'url') {
+      // The URL may still be changing after the previous step, so keep looking
+      const pattern = new RegExp(step.pattern);
+      const startTime = Date.now();
+      let match;
+      while (!(match = pattern.exec(window.location.href))) {
+        if (Date.now() - startTime >= timeout) {
+          throw new Error(`${SelectorUtils.describeStep(step, currentStep)} timed out after ${timeout}ms waiting for the URL to match /${step.pattern}/ (still "${window.location.href}")`);
+        }
+        await this.delay(100);
+      }
+      value = match.length > 1 ? match[1] : match[0];
+    } else {
+      const element = await this.findElementWithRetry(step.selector, {
+        timeout: timeout,
+        waitBetweenAttempts: 250,
+        waitForElement: true
+      });
+      if (!element) {
+        throw new Error(`${SelectorUtils.describeStep(step, currentStep)} timed out after ${timeout}ms waiting for ${this.describeElementWait(step)}`);
+      }
+
+      switch (step.source) {
+        case 'value':
+          value = element.value ?? '';
+          break;
+        case 'attribute':
+          value = element.getAttribute(step.attribute) ?? '';
+          break;
+        default:
+          value = element.textContent?.trim() || '';
+      }
+      this.highlightElement(element);
+      await this.delay(200);
+      this.clearHighlight();
+    }
+
+    console.log(`✅ Extracted {{${step.variable}}} = "${value}"`);
+    return { variable: { name: step.variable, value: String(value ?? '') } };
+  }
+
+  async executeWaitStep(step, currentStep, timeout) {
+    console.log(`⏲️ Step ${currentStep}: wait for ${step.condition}`);
+
+    const startTime = Date.now();
+    let result;
+
+    while (true) {
+      result = this.evaluateWaitCondition(step);
+      if (result.met || Date.now() - startTime >= timeout) break;
+      await this.delay(100);
+    }
+
+    if (!result.met) {
+      const errorMsg = `${SelectorUtils.describeStep(step, currentStep)} timed out after ${timeout}ms waiting for ${result.waitingFor}`;
+      console.error(`❌ ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+
+    console.log(`✅ Wait condition met after ${Date.now() - startTime}ms: ${step.condition}`);
+  }
+
+  // Returns { met, waitingFor } for the current state of the page. Element
+  // conditions look at the first match only, like the exported waits do
+  evaluateWaitCondition(step) {
+    const target = SelectorUtils.format(step.selector);
+
+    switch (step.condition) {
+      case 'present': {
+        const [element] = SelectorUtils.queryAll(step.selector);
+        return {
+          met: !!element && this.isElementVisible(element),
+          waitingFor: `element "${target}" to appear`
+        };
+      }
+      case 'absent': {
+        const [element] = SelectorUtils.queryAll(step.selector);
+        return {
+          met: !element || !this.isElementVisible(element),
+          waitingFor: `element "${target}" to disappear`
+        };
+      }
+      case 'text':
+        return {
+          met: SelectorUtils.normalizeText(document.body?.innerText || '').includes(SelectorUtils.normalizeText(step.text)),
+          waitingFor: `text "${step.text}" to appear`
+        };
+      case 'networkIdle': {
+        const idleTime = step.idleTime ?? 500;
+        const network = this.queryNetworkState();
+        if (!network) {
+          return { met: false, waitingFor: 'the network to be idle (request tracking is not loaded in this page)' };
+        }
+        return {
+          met: network.pending === 0 && network.idleFor >= idleTime,
+          waitingFor: `the network to be idle for ${idleTime}ms (${network.pending} request(s) still pending)`
+        };
+      }
+      default:
+        throw new Error(`Unknown wait condition: ${step.condition}`);
+    }
+  }
+
+  // page-hooks.js counts fetch/XHR requests in the main world and answers a
+  // query event synchronously; null means the hooks are not in this page.
+  // An answer that is not the hooks' JSON (another page script) is ignored
+  queryNetworkState() {
+    let network = null;
+    const receive = (event) => {
+      try {
+        const state = JSON.parse(event.detail);
+        if (state && typeof state.pending === 'number') network = state;
+      } catch (error) {
+        // Not from page-hooks.js
+      }
+    };
+
+    window.addEventListener('e2e-recorder:network-state', receive);
+    window.dispatchEvent(new CustomEvent('e2e-recorder:network-query'));
+    window.removeEventListener('e2e-recorder:network-state', receive);
+    return network;
+  }
+
+  // Assertions are re-evaluated until they pass or the step timeout runs out,
+  // so they tolerate content that is still loading or animating
+  async executeAssertStep(step, currentStep, timeout) {
+    console.log(`🔍 Step ${currentStep}: assert ${step.assertion} on "${SelectorUtils.format(step.selector) || 'page'}"`);
+
+    // A bad pattern fails the same way on every poll, so check it once up front
+    let pattern = null;
+    if (step.operator === 'matches') {
+      try {
+        pattern = new RegExp(String(step.expected ?? ''));
+      } catch (error) {
+        throw new Error(`${SelectorUtils.describeStep(step, currentStep)} has an invalid pattern: ${error.message}`);
+      }
+    }
+
+    const startTime = Date.now();
+    let result;
+
+    while (true) {
+      result = this.evaluateAssertion(step, pattern);
+      if (result.passed || Date.now() - startTime >= timeout) break;
+      await this.delay(100);
+    }
+
+    if (!result.passed) {
+      const errorMsg = `${SelectorUtils.describeStep(step, currentStep)} failed after ${timeout}ms: ${result.message}`;
+      console.error(`❌ ${errorMsg}`);
+      this.showScreenshotIndicator(`❌ Step ${currentStep} failed: assertion`, 3000);
+      throw new Error(errorMsg);
+    }
+
+    console.log(`✅ Assertion passed: ${step.assertion}`);
+    if (result.element) {
+      this.highlightElement(result.element);
+      await this.delay(200);
+      this.clearHighlight();
+    }
+  }
+
+  // Returns { passed, message, element } for the current state of the page
+  evaluateAssertion(step, pattern) {
+    if (step.assertion === 'url') {
+      return this.compareAssertionValue('URL', window.location.href, step, pattern);
+    }
+
+    const elements = SelectorUtils.queryAll(step.selector);
+    const element = elements[0] || null;
+
+    switch (step.assertion) {
+      case 'count': {
+        const expected = Number(step.expected);
+        return {
+          passed: elements.length === expected,
+          message: `expected ${expected} elements matching "${SelectorUtils.format(step.selector)}" but found ${elements.length}`
+        };
+      }
+      case 'visible':
+        return {
+          passed: !!element && this.isElementVisible(element),
+          message: element ? `element "${SelectorUtils.format(step.selector)}" is not visible` : `element "${SelectorUtils.format(step.selector)}" was not found`,
+          element: element
+        };
+      case 'hidden':
+        return {
+          passed: !element || !this.isElementVisible(element),
+          message: `element "${SelectorUtils.format(step.selector)}" is still visible`
+        };
+    }
+
+    if (!element) {
+      return { passed: false, message: `element "${SelectorUtils.format(step.selector)}" was not found` };
+    }
+
+    switch (step.assertion) {
+      case 'text': {
+        // Whitespace runs count as one space on both sides, as in Playwright's toHaveText
+        const expected = pattern ? step.expected : SelectorUtils.normalizeText(String(step.expected ?? ''));
+        return {
+          ...this.compareAssertionValue(`text of "${SelectorUtils.format(step.selector)}"`, SelectorUtils.normalizeText(element.textContent), { ...step, expected }, pattern),
+          element
+        };
+      }
+      case 'value':
+        return { ...this.compareAssertionValue(`value of "${SelectorUtils.format(step.selector)}"`, element.value ?? '', step, pattern), element };
+      case 'attribute':
+        return {
+          ...this.compareAssertionValue(`attribute "${step.attribute}" of "${SelectorUtils.format(step.selector)}"`, element.getAttribute(step.attribute) ?? '', step, pattern),
+          element
+        };
+      default:
+        throw new Error(`Unknown assertion: ${step.assertion}`);
+    }
+  }
+
+  // pattern is the compiled regex of a 'matches' assertion
+  compareAssertionValue(label, actual, step, pattern) {
+    const expected = String(step.expected ?? '');
+    let passed;
+
+    switch (step.operator) {
+      case 'contains':
+        passed = actual.includes(expected);
+        break;
+      case 'matches':
+        passed = pattern.test(actual);
+        break;
+      default:
+        passed = actual === expected;
+    }
+
+    const verb = { contains: 'contain', matches: 'match' }[step.operator] || 'equal';
+    return {
+      passed: passed,
+      message: `expected ${label} to ${verb} "${expected}" but got "${actual}"`
+    };
   }
 
   delay(ms) {
@@ -2157,7 +3622,7 @@ class E2EContentScript {
       <div style="margin-bottom: 15px;">
         <h3 style="margin: 0 0 10px 0; color: #dc2626;">Visual Regression Detected</h3>
         <p style="margin: 0; color: #6b7280;">
-          Step ${stepNumber}: ${step.type} on "${step.selector}"<br>
+          Step ${stepNumber}: ${step.type} on "${SelectorUtils.format(step.selector)}"<br>
           Difference: ${visualDiff.differencePercentage.toFixed(2)}%
           (${visualDiff.diffPixels.toLocaleString()} pixels changed)
         </p>
@@ -0,0 +1,149 @@
+// Runs in the page's main world, where the app calls the History API,
+// window.alert/confirm/prompt, fetch and XMLHttpRequest. Content scripts live
+// in an isolated world and cannot see those calls, so they are announced with
+// DOM events the content script listens for. Only strings survive the trip
+// between worlds as event detail, so anything structured is sent as JSON.
+(function () {
+  if (window.__e2eRecorderHistoryHooked) return;
+  window.__e2eRecorderHistoryHooked = true;
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new CustomEvent('e2e-recorder:history', { detail: method }));
+      return result;
+    };
+  });
+
+  // Requests in flight, for network-idle waits. The content script asks with
+  // a query event and the answer is dispatched before dispatchEvent returns.
+  let pendingRequests = 0;
+  let lastRequestActivity = Date.now();
+  const requestStarted = () => {
+    pendingRequests++;
+    lastRequestActivity = Date.now();
+  };
+  const requestSettled = () => {
+    pendingRequests = Math.max(0, pendingRequests - 1);
+    lastRequestActivity = Date.now();
+  };
+
+  const originalFetch = window.fetch;
+  window.fetch = function (...args) {
+    requestStarted();
+    try {
+      return originalFetch.apply(this, args).finally(requestSettled);
+    } catch (error) {
+      requestSettled();
+      throw error;
+    }
+  };
+
+  const originalSend = XMLHttpRequest.prototype.send;
+  XMLHttpRequest.prototype.send = function (...args) {
+    requestStarted();
+    this.addEventListener('loadend', requestSettled, { once: true });
+    try {
+      return originalSend.apply(this, args);
+    } catch (error) {
+      // send() threw before starting, so loadend will never fire
+      this.removeEventListener('loadend', requestSettled);
+      requestSettled();
+      throw error;
+    }
+  };
+
+  window.addEventListener('e2e-recorder:network-query', () => {
+    window.dispatchEvent(new CustomEvent('e2e-recorder:network-state', {
+      detail: JSON.stringify({ pending: pendingRequests, idleFor: Date.now() - lastRequestActivity })
+    }));
+  });
+
+  // Answers for the dialogs replay expects next, set by the content script.
+  // With none armed the real dialog is shown, which is what recording wants.
+  let armedDialogs = [];
+  window.addEventListener('e2e-recorder:arm-dialogs', event => {
+    armedDialogs = JSON.parse(event.detail);
+  });
+
+  const reportDialog = (dialog) => {
+    window.dispatchEvent(new CustomEvent('e2e-recorder:dialog', { detail: JSON.stringify(dialog) }));
+  };
+
+  ['alert', 'confirm', 'prompt'].forEach(dialogType => {
+    const original = window[dialogType];
+    window[dialogType] = function (message, defaultValue) {
+      const text = message === undefined ? '' : String(message);
+      const armed = armedDialogs.shift();
+
+      if (armed) {
+        const accepted = armed.response === 'accept';
+        reportDialog({ dialogType, message: text, response: armed.response, replayed: true });
+        if (dialogType === 'confirm') return accepted;
+        if (dialogType === 'prompt') return accepted ? (armed.promptText ?? '') : null;
+        return undefined;
+      }
+
+      const result = original.apply(this, arguments);
+      const dialog = { dialogType, message: text, response: 'accept' };
+      if (dialogType === 'confirm' && !result) {
+        dialog.response = 'dismiss';
+      } else if (dialogType === 'prompt') {
+        if (result === null) {
+          dialog.response = 'dismiss';
+        } else {
+          dialog.promptText = result;
+        }
+      }
+      reportDialog(dialog);
+      return result;
+    };
+  });
+
+  // The leave-page prompt has no function to wrap: a handler asks for it by
+  // cancelling beforeunload. This listener runs before the page's own (it is
+  // added at document_start), so it can only look at the outcome afterwards:
+  // pagehide means the prompt was accepted. Staying leaves no such signal (after
+  // an accept the page keeps running until the next document commits), so a
+  // dismissed prompt is not recorded.
+  let pendingPageHide = null;
+  const askedToStay = (event) =>
+    (event.defaultPrevented || Boolean(event.returnValue)) &&
+    (!navigator.userActivation || navigator.userActivation.hasBeenActive);
+
+  window.addEventListener('beforeunload', event => {
+    // A listener left from a prompt the user stayed on must not report this unload
+    if (pendingPageHide) window.removeEventListener('pagehide', pendingPageHide);
+
+    const armed = armedDialogs[0] && armedDialogs[0].dialogType === 'beforeunload' ?
+      armedDialogs.shift() : null;
+    let requested = false;
+
+    if (armed) {
+      // Replay only arms accepted prompts: swallow the request so no prompt
+      // blocks the run, but remember it was made
+      event.preventDefault = () => { requested = true; };
+      Object.defineProperty(event, 'returnValue', {
+        get: () => '',
+        set: value => { if (value) requested = true; }
+      });
+      const handler = window.onbeforeunload;
+      if (typeof handler === 'function') {
+        window.onbeforeunload = function (...args) {
+          const result = handler.apply(this, args);
+          if (result !== undefined && result !== null) requested = true;
+          window.onbeforeunload = handler;
+        };
+      }
+    }
+
+    pendingPageHide = () => {
+      pendingPageHide = null;
+      if (armed ? requested : askedToStay(event)) {
+        reportDialog({ dialogType: 'beforeunload', message: '', response: 'accept', replayed: !!armed });
+      }
+    };
+    window.addEventListener('pagehide', pendingPageHide, { once: true });
+  });
+})();
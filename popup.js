@@ -6,10 +6,18 @@ class E2ETestRecorder {
     this.tests = [];
     this.expandedTests = new Set(); // Track which tests have expanded step lists
     this.forceStopFailed = false; // Track if force stop has failed
+    this.screenshotUrls = new Map(); // Object URLs for stored screenshots, by content hash
+    this.editingStep = null; // { testId, stepId, isNew } of the step open in the editor
+    this.draggedStep = null; // { testId, index } while a step is being dragged
+    this.settings = {
+      stepTimeout: 10000,
+      testTimeout: 5 * 60 * 1000
+    };
     this.init();
   }
 
   async init() {
+    await this.loadSettings();
     await this.loadTests();
     await this.loadRecordingState();
     await this.loadReplayState(); // Load replay state on popup open
@@ -17,6 +25,7 @@ class E2ETestRecorder {
     this.setupEventListeners();
     this.setupMessageListener();
     this.updateUI();
+    await this.updateStorageUsage();
   }
 
   setupMessageListener() {
@@ -34,6 +43,11 @@ class E2ETestRecorder {
           await this.clearReplayState(); // Clear from storage
           this.updateUI();
         }
+
+        // The healed selectors themselves arrive through storage.onChanged below
+        if (message.healedSteps && message.healedSteps.length > 0) {
+          this.showNotification(`${message.healedSteps.length} selector(s) healed in "${message.testName}" - review them in the step list`, 'warning');
+        }
       } else if (message.action === 'testProgress') {
         // Update progress if needed
         console.log(`Test progress: ${message.testName} - Step ${message.currentStep}/${message.totalSteps} (ID: ${message.executionId})`);
@@ -49,11 +63,97 @@ class E2ETestRecorder {
         }
       }
     });
+
+    // The background writes healedSelector onto stored steps during replay.
+    // Copy it into the tests held here, or the next saveTests() would drop it
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.e2eTests) {
+        this.mergeHealedSelectors(changes.e2eTests.newValue || []);
+      }
+    });
+  }
+
+  mergeHealedSelectors(storedTests) {
+    let changed = false;
+
+    storedTests.forEach(storedTest => {
+      (storedTest.steps || []).forEach(storedStep => {
+        if (!storedStep.healedSelector) return;
+        const { step } = this.findStep(storedTest.id, storedStep.id);
+        if (step && JSON.stringify(step.healedSelector) !== JSON.stringify(storedStep.healedSelector)) {
+          step.healedSelector = storedStep.healedSelector;
+          changed = true;
+        }
+      });
+    });
+
+    if (changed) {
+      this.updateUI();
+    }
+  }
+
+  async loadSettings() {
+    const result = await chrome.storage.local.get(['settings']);
+    this.settings = { ...this.settings, ...result.settings };
+
+    // Timeouts are stored in milliseconds but edited in seconds
+    document.getElementById('stepTimeout').value = this.settings.stepTimeout / 1000;
+    document.getElementById('testTimeout').value = this.settings.testTimeout / 1000;
+    document.getElementById('trustedInput').checked = !!this.settings.trustedInput;
+  }
+
+  async saveSetting(key, seconds) {
+    const value = Math.round(parseFloat(seconds) * 1000);
+    if (!(value > 0)) {
+      document.getElementById(key).value = this.settings[key] / 1000;
+      return;
+    }
+
+    this.settings[key] = value;
+    const result = await chrome.storage.local.get(['settings']);
+    await chrome.storage.local.set({ settings: { ...result.settings, [key]: value } });
+  }
+
+  // Trusted input drives the page through chrome.debugger, an optional
+  // permission that is only asked for when the mode is switched on
+  async saveTrustedInput(enabled) {
+    if (enabled && !(await chrome.permissions.request({ permissions: ['debugger'] }))) {
+      document.getElementById('trustedInput').checked = false;
+      return;
+    }
+
+    this.settings.trustedInput = enabled;
+    const result = await chrome.storage.local.get(['settings']);
+    await chrome.storage.local.set({ settings: { ...result.settings, trustedInput: enabled } });
+  }
+
+  // An empty field removes the override so the test falls back to the global setting
+  async updateTestTimeout(testId, key, seconds) {
+    const test = this.tests.find(t => t.id === testId);
+    if (!test) return;
+
+    const value = Math.round(parseFloat(seconds) * 1000);
+    if (value > 0) {
+      test[key] = value;
+    } else {
+      delete test[key];
+    }
+
+    await this.saveTests();
+    this.updateUI();
   }
 
   async loadTests() {
     const result = await chrome.storage.local.get(['e2eTests']);
     this.tests = result.e2eTests || [];
+
+    // The update-time migration may have failed or still be running; steps
+    // are looked up by id, so never work on tests without them
+    if (TestSchema.needsMigration(this.tests)) {
+      this.tests = await TestSchema.migrateTests(this.tests);
+      await chrome.storage.local.set({ e2eTests: this.tests });
+      console.log(`Migrated ${this.tests.length} tests to schema v${TestSchema.CURRENT_VERSION}`);
+    }
   }
 
   async loadRecordingState() {
@@ -95,31 +195,23 @@ class E2ETestRecorder {
   }
 
   async validateReplayState() {
-    // If we think a test is replaying, check with content script to verify
+    // If we think a test is replaying, check with the background orchestrator to verify
     if (this.currentReplayingTest) {
       try {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (tab) {
-          const response = await chrome.tabs.sendMessage(tab.id, { action: 'ping' });
-
-          // If content script responds but no test is actually running, clear our state
-          if (response && response.success) {
-            // Send a status check message to verify actual replay state
-            const statusResponse = await chrome.tabs.sendMessage(tab.id, {
-              action: 'getReplayStatus',
-              executionId: this.currentReplayingTest.executionId
-            });
+        const statusResponse = await chrome.runtime.sendMessage({
+          action: 'getTestExecutionStatus',
+          tabId: this.currentReplayingTest.tabId,
+          executionId: this.currentReplayingTest.executionId
+        });
 
-            if (statusResponse && !statusResponse.isReplaying) {
-              console.log('🔄 Content script reports no test running, clearing stale replay state');
-              this.currentReplayingTest = null;
-              await this.clearReplayState();
-            }
-          }
+        if (statusResponse && !statusResponse.isReplaying) {
+          console.log('🔄 Background reports no test running, clearing stale replay state');
+          this.currentReplayingTest = null;
+          await this.clearReplayState();
         }
       } catch (error) {
-        // If we can't reach content script, assume test is no longer running
-        console.log('🔄 Could not verify replay state with content script, clearing stale state');
+        // If we can't reach the background, assume test is no longer running
+        console.log('🔄 Could not verify replay state with background, clearing stale state');
         this.currentReplayingTest = null;
         await this.clearReplayState();
       }
@@ -137,7 +229,14 @@ class E2ETestRecorder {
   }
 
   async saveTests() {
-    await chrome.storage.local.set({ e2eTests: this.tests });
+    // A step inserted but not yet saved from the editor stays out of storage
+    const pendingStepId = this.editingStep && this.editingStep.isNew ? this.editingStep.stepId : null;
+    const tests = pendingStepId ?
+      this.tests.map(test => ({ ...test, steps: test.steps.filter(step => step.id !== pendingStepId) })) :
+      this.tests;
+
+    await chrome.storage.local.set({ e2eTests: tests });
+    this.updateStorageUsage();
   }
 
   setupEventListeners() {
@@ -157,6 +256,11 @@ class E2ETestRecorder {
     });
 
     document.getElementById('fileInput').addEventListener('change', (e) => this.handleFileUpload(e));
+
+    ['stepTimeout', 'testTimeout'].forEach(key => {
+      document.getElementById(key).addEventListener('change', (e) => this.saveSetting(key, e.target.value));
+    });
+    document.getElementById('trustedInput').addEventListener('change', (e) => this.saveTrustedInput(e.target.checked));
   }
 
   async startRecording() {
@@ -196,11 +300,12 @@ class E2ETestRecorder {
       // Set recording state FIRST
       this.isRecording = true;
       this.currentTest = {
+        id: TestSchema.generateId(),
+        schemaVersion: TestSchema.CURRENT_VERSION,
         name: testName,
         steps: [],
         timestamp: new Date().toISOString(),
-        url: tab.url,
-        screenshots: []
+        url: tab.url
       };
 
       this.showNotification('Recording state set, saving...', 'info');
@@ -208,6 +313,14 @@ class E2ETestRecorder {
       // Save state
       await this.saveRecordingState();
 
+      // The background collects steps from every page visited while recording
+      await chrome.runtime.sendMessage({
+        action: 'startRecordingSession',
+        tabId: tab.id,
+        testName,
+        startUrl: tab.url
+      });
+
       this.showNotification('State saved, updating UI...', 'info');
 
       // Update UI
@@ -231,6 +344,7 @@ class E2ETestRecorder {
           this.isRecording = false;
           this.currentTest = null;
           await chrome.storage.local.remove(['recordingState']);
+          await this.discardRecordingSession();
           this.updateUI();
           return;
         } else if (contentError.message.includes('Extension pages are not supported')) {
@@ -238,6 +352,7 @@ class E2ETestRecorder {
           this.isRecording = false;
           this.currentTest = null;
           await chrome.storage.local.remove(['recordingState']);
+          await this.discardRecordingSession();
           this.updateUI();
           return;
         } else {
@@ -285,6 +400,7 @@ class E2ETestRecorder {
       this.isRecording = false;
       // Clean up state on error
       await chrome.storage.local.remove(['recordingState']);
+      await this.discardRecordingSession();
 
       // Show detailed error for debugging
       setTimeout(() => {
@@ -343,28 +459,26 @@ class E2ETestRecorder {
         throw new Error('No screenshot data received');
       }
 
+      // Keep the image in the blob store; the step only holds its hash
+      const screenshotRef = await ScreenshotStore.put(dataUrl);
+
       // Add screenshot as a test step
       const screenshotStep = {
         type: 'screenshot',
         timestamp: Date.now(),
         url: tab.url,
-        screenshot: dataUrl,
+        screenshotRef: screenshotRef,
         description: 'Visual checkpoint',
         scrollPositions: scrollPositions
       };
       console.log('Screenshot step created:', screenshotStep); // 디버그 로그 추가
 
-      // Add to current test steps
-      this.currentTest.steps.push(screenshotStep);
-
-      // Also add to screenshots array for easy access
-      if (!this.currentTest.screenshots) {
-        this.currentTest.screenshots = [];
-      }
-      this.currentTest.screenshots.push(dataUrl);
-
-      // Save current recording state
-      await this.saveRecordingState();
+      // Add to the recording session so it keeps its place among page steps
+      await chrome.runtime.sendMessage({
+        action: 'recordStep',
+        tabId: tab.id,
+        step: screenshotStep
+      });
 
       console.log('Screenshot added to test steps');
 
@@ -377,19 +491,6 @@ class E2ETestRecorder {
     }
   }
 
-  async saveScreenshot(screenshot) {
-    const result = await chrome.storage.local.get(['screenshots']);
-    const screenshots = result.screenshots || [];
-    screenshots.push(screenshot);
-
-    // Keep only the last 50 screenshots to prevent storage overflow
-    if (screenshots.length > 50) {
-      screenshots.splice(0, screenshots.length - 50);
-    }
-
-    await chrome.storage.local.set({ screenshots });
-  }
-
   showNotification(message, type = 'info') {
     const notification = document.createElement('div');
     notification.style.cssText = `
@@ -460,36 +561,20 @@ class E2ETestRecorder {
         this.originalWindowSize = null;
       }
 
-      const result = await chrome.storage.local.get([`recording_${this.currentTest.name}`]);
-      const contentScriptData = result[`recording_${this.currentTest.name}`];
-
-      // Handle both old format (array) and new format (object with steps)
-      let contentScriptSteps = [];
-      if (contentScriptData) {
-        if (Array.isArray(contentScriptData)) {
-          // Old format: direct array
-          contentScriptSteps = contentScriptData;
-        } else if (contentScriptData.steps && Array.isArray(contentScriptData.steps)) {
-          // New format: object with steps array
-          contentScriptSteps = contentScriptData.steps;
-          // Also save the start URL if available
-          if (contentScriptData.startUrl) {
-            this.currentTest.startUrl = contentScriptData.startUrl;
-          }
-        }
-      }
+      // The background session holds every step from every page, in order
+      const response = await chrome.runtime.sendMessage({ action: 'stopRecordingSession' });
+      const session = response && response.session;
 
-      // Merge content script steps with popup steps (like screenshots)
-      // Sort all steps by timestamp to maintain proper order
-      const allSteps = [...this.currentTest.steps, ...contentScriptSteps];
-      allSteps.sort((a, b) => a.timestamp - b.timestamp);
+      if (session) {
+        this.currentTest.steps = session.steps;
+        this.currentTest.startUrl = session.startUrl;
+      } else {
+        console.warn('No recording session found in background, saving test without steps');
+      }
 
-      this.currentTest.steps = allSteps;
       this.tests.push(this.currentTest);
       await this.saveTests();
 
-      await chrome.storage.local.remove([`recording_${this.currentTest.name}`]);
-
       this.currentTest = null;
       this.originalWindowSize = null;
 
@@ -503,8 +588,6 @@ class E2ETestRecorder {
       this.showNotification('Error stopping recording - forcing state reset', 'error');
 
       // Force clear all recording state even if there were errors
-      const testNameForCleanup = this.currentTest ? this.currentTest.name : null;
-
       this.isRecording = false;
       this.currentTest = null;
       this.originalWindowSize = null;
@@ -512,9 +595,7 @@ class E2ETestRecorder {
       // Clear recording state from storage
       try {
         await chrome.storage.local.remove(['recordingState']);
-        if (testNameForCleanup) {
-          await chrome.storage.local.remove([`recording_${testNameForCleanup}`]);
-        }
+        await this.discardRecordingSession();
         console.log('Forced cleanup of recording state from storage');
       } catch (storageError) {
         console.error('Failed to clear storage state:', storageError);
@@ -524,12 +605,52 @@ class E2ETestRecorder {
     }
   }
 
+  async discardRecordingSession() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'discardRecordingSession' });
+    } catch (error) {
+      console.warn('Could not discard recording session:', error);
+    }
+  }
+
   async clearAllTests() {
     if (confirm('Are you sure you want to clear all tests?')) {
       this.tests = [];
       await this.saveTests();
       this.updateUI();
+      await this.collectScreenshotGarbage();
+    }
+  }
+
+  // Ask the background to drop screenshot blobs no test refers to any more
+  async collectScreenshotGarbage() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'collectScreenshotGarbage' });
+    } catch (error) {
+      console.warn('Screenshot garbage collection failed:', error);
     }
+    await this.updateStorageUsage();
+  }
+
+  async updateStorageUsage() {
+    const usageElement = document.getElementById('storageUsage');
+
+    try {
+      const testBytes = await chrome.storage.local.getBytesInUse(null);
+      const screenshots = await ScreenshotStore.getUsage();
+
+      usageElement.textContent = `Storage: ${this.formatBytes(testBytes)} test data • ` +
+        `${screenshots.count} screenshot${screenshots.count === 1 ? '' : 's'} (${this.formatBytes(screenshots.bytes)})`;
+    } catch (error) {
+      console.warn('Could not read storage usage:', error);
+      usageElement.textContent = 'Storage usage unavailable';
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
   }
 
   importTests() {
@@ -567,24 +688,23 @@ class E2ETestRecorder {
     });
   }
 
+  // Only the shape is checked here, so files from older versions still reach
+  // migration; the steps themselves are validated once they are migrated
   validateImportedData(data) {
+    const isTest = (test) =>
+      test &&
+      test.name &&
+      Array.isArray(test.steps) &&
+      test.steps.every(step => step && step.type);
+
     // Check if it's a single test object
-    if (data.name && data.steps && Array.isArray(data.steps)) {
-      return true;
+    if (data.name && data.steps) {
+      return isTest(data);
     }
 
     // Check if it's an array of tests
     if (Array.isArray(data)) {
-      return data.every(test =>
-        test.name &&
-        test.steps &&
-        Array.isArray(test.steps) &&
-        test.steps.every(step =>
-          step.type &&
-          step.selector &&
-          step.timestamp
-        )
-      );
+      return data.every(isTest);
     }
 
     // Check if it's an export format with tests array
@@ -616,9 +736,30 @@ class E2ETestRecorder {
       return;
     }
 
-    // Check for duplicate names
-    const existingNames = this.tests.map(test => test.name);
-    const duplicates = testsToImport.filter(test => existingNames.includes(test.name));
+    // Files exported before stable IDs existed are matched to stored tests by name
+    testsToImport = testsToImport.map(test => {
+      if (test.id) return test;
+      const existing = this.tests.find(t => t.name === test.name);
+      return existing ? { ...test, id: existing.id } : test;
+    });
+    testsToImport = await TestSchema.importTests(testsToImport);
+
+    // Each step must be one the step editor would save
+    for (const test of testsToImport) {
+      const invalid = test.steps
+        .map((step, index) => ({ index, error: this.validateStep(step) }))
+        .find(result => result.error);
+      if (invalid) {
+        // Screenshots the rejected file carried are already in the store
+        await this.collectScreenshotGarbage();
+        alert(`Cannot import "${test.name}": step ${invalid.index + 1}: ${invalid.error}.`);
+        return;
+      }
+    }
+
+    // Check for duplicate IDs
+    const existingIds = this.tests.map(test => test.id);
+    const duplicates = testsToImport.filter(test => existingIds.includes(test.id));
 
     let shouldProceed = true;
     if (duplicates.length > 0) {
@@ -632,7 +773,7 @@ class E2ETestRecorder {
 
     // Remove duplicates from existing tests
     this.tests = this.tests.filter(test =>
-      !testsToImport.some(importedTest => importedTest.name === test.name)
+      !testsToImport.some(importedTest => importedTest.id === test.id)
     );
 
     // Add imported tests
@@ -640,6 +781,7 @@ class E2ETestRecorder {
 
     await this.saveTests();
     this.updateUI();
+    await this.collectScreenshotGarbage();
 
     alert(`Successfully imported ${testsToImport.length} test(s).`);
   }
@@ -654,9 +796,10 @@ class E2ETestRecorder {
       const exportData = {
         format: 'e2e-test-recorder',
         version: '1.0.0',
+        schemaVersion: TestSchema.CURRENT_VERSION,
         exportDate: new Date().toISOString(),
         totalTests: this.tests.length,
-        tests: this.tests
+        tests: await Promise.all(this.tests.map(test => TestSchema.inlineScreenshots(test)))
       };
 
       const testData = JSON.stringify(exportData, null, 2);
@@ -687,15 +830,25 @@ class E2ETestRecorder {
         return;
       }
 
+      // Close the step editor: a step inserted there but never saved must not run
+      this.discardNewStep();
+      this.editingStep = null;
+
       this.showNotification('Starting test replay...', 'info');
 
       // Reset force stop failed flag for new replay
       this.forceStopFailed = false;
 
+      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!activeTab) {
+        throw new Error('No active tab found');
+      }
+
       // Set current replaying test with unique execution ID
       this.currentReplayingTest = {
         ...test,
-        executionId: `${test.name}_${test.timestamp}_${Date.now()}`, // Unique execution ID
+        tabId: activeTab.id,
+        executionId: `${test.id}_${Date.now()}`, // Unique execution ID
         currentStep: 0,
         totalSteps: test.steps ? test.steps.length : 0,
         startTime: Date.now()
@@ -703,13 +856,21 @@ class E2ETestRecorder {
       await this.saveReplayState(); // Save to storage
       this.updateUI(); // Update UI to show replaying state
 
-      // Start replay FIRST - send execution ID for tracking
-      await this.sendMessageToActiveTab({
-        action: 'replayTest',
+      // Start replay FIRST - the background runs the steps and reports progress
+      const response = await chrome.runtime.sendMessage({
+        action: 'startTestExecution',
+        tabId: activeTab.id,
         test: test,
         executionId: this.currentReplayingTest.executionId
       });
 
+      if (!response || response.error) {
+        this.currentReplayingTest = null;
+        await this.clearReplayState();
+        this.updateUI();
+        throw new Error(response?.error || 'No response from background');
+      }
+
       this.showNotification('Replay started successfully!', 'success');
 
       // NOW resize browser after replay has started
@@ -759,7 +920,7 @@ class E2ETestRecorder {
 
     } catch (error) {
       console.error('Replay failed:', error);
-      this.showNotification('Failed to start replay', 'error');
+      this.showNotification(`Failed to start replay: ${error.message}`, 'error');
     }
   }
 
@@ -768,12 +929,14 @@ class E2ETestRecorder {
       this.tests.splice(index, 1);
       await this.saveTests();
       this.updateUI();
+      await this.collectScreenshotGarbage();
     }
   }
 
   async exportTest(test) {
     try {
-      const testData = JSON.stringify(test, null, 2);
+      // Exported files carry their screenshots inline
+      const testData = JSON.stringify(await TestSchema.inlineScreenshots(test), null, 2);
       const blob = new Blob([testData], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
 
@@ -884,11 +1047,16 @@ class E2ETestRecorder {
         // Fallback: inject directly if possible
         try {
           await chrome.scripting.executeScript({
-            target: { tabId: tabId },
-            files: ['content.js']
+            target: { tabId: tabId, allFrames: true },
+            files: ['scroll-manager.js', 'selector-utils.js', 'content.js']
+          });
+          await chrome.scripting.executeScript({
+            target: { tabId: tabId, allFrames: true },
+            files: ['page-hooks.js'],
+            world: 'MAIN'
           });
           await chrome.scripting.insertCSS({
-            target: { tabId: tabId },
+            target: { tabId: tabId, allFrames: true },
             files: ['content.css']
           });
           console.log('Content script injected directly');
@@ -957,16 +1125,14 @@ class E2ETestRecorder {
     }
 
     container.innerHTML = this.tests.map((test, index) => {
-      // Compare using name AND timestamp to uniquely identify the exact test instance
       const isReplaying = this.currentReplayingTest &&
-                         this.currentReplayingTest.name === test.name &&
-                         this.currentReplayingTest.timestamp === test.timestamp;
-      const screenshotSteps = test.steps.filter(step => step.type === 'screenshot' || step.screenshot);
+                         this.currentReplayingTest.id === test.id;
+      const screenshotSteps = test.steps.filter(step => step.screenshotRef);
       const screenshotCount = screenshotSteps.length;
       const screenshotsHtml = screenshotCount > 0 ? `
         <div class="test-screenshots">
           ${screenshotSteps.slice(0, 6).map((step, stepIndex) => `
-            <img src="${step.screenshot}" class="screenshot-thumbnail"
+            <img class="screenshot-thumbnail" data-screenshot-ref="${step.screenshotRef}"
                  data-test-index="${index}" data-step-index="${stepIndex}"
                  title="Step ${stepIndex + 1}: ${step.type}">
           `).join('')}
@@ -977,8 +1143,7 @@ class E2ETestRecorder {
       const progressInfo = isReplaying && this.currentReplayingTest.currentStep && this.currentReplayingTest.totalSteps ?
         ` (Step ${this.currentReplayingTest.currentStep}/${this.currentReplayingTest.totalSteps})` : '';
 
-      const testKey = `${test.name}_${test.timestamp}`;
-      const isExpanded = this.expandedTests.has(testKey);
+      const isExpanded = this.expandedTests.has(test.id);
       const stepsHtml = isExpanded ? this.renderStepList(test, isReplaying) : '';
 
       return `
@@ -1025,8 +1190,10 @@ class E2ETestRecorder {
     // Add event listeners for all buttons
     container.querySelectorAll('button[data-action]').forEach(button => {
       button.addEventListener('click', (e) => {
-        const action = e.target.getAttribute('data-action');
-        const index = parseInt(e.target.getAttribute('data-index'));
+        const action = e.currentTarget.getAttribute('data-action');
+        const index = parseInt(e.currentTarget.getAttribute('data-index'));
+        const testId = e.currentTarget.getAttribute('data-test-id');
+        const stepId = e.currentTarget.getAttribute('data-step-id');
 
         switch (action) {
           case 'replay':
@@ -1041,21 +1208,80 @@ class E2ETestRecorder {
           case 'toggleSteps':
             this.toggleSteps(index);
             break;
+          case 'editStep':
+            this.editStep(testId, stepId);
+            break;
+          case 'duplicateStep':
+            this.duplicateStep(testId, stepId);
+            break;
+          case 'toggleStepDisabled':
+            this.toggleStepDisabled(testId, stepId);
+            break;
+          case 'deleteStep':
+            this.deleteStep(testId, stepId);
+            break;
+          case 'saveStep':
+            this.saveStepEdit(testId, stepId, e.currentTarget.closest('.step-editor'));
+            break;
+          case 'cancelStepEdit':
+            this.cancelStepEdit();
+            break;
+          case 'acceptHealedSelector':
+            this.resolveHealedSelector(testId, stepId, true);
+            break;
+          case 'dismissHealedSelector':
+            this.resolveHealedSelector(testId, stepId, false);
+            break;
+          case 'insertStep':
+            this.insertStep(testId, e.currentTarget.closest('.step-insert'));
+            break;
         }
       });
     });
 
+    this.setupStepDragAndDrop(container);
+
+    container.querySelectorAll('.test-timeouts input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        this.updateTestTimeout(e.target.getAttribute('data-test-id'), e.target.getAttribute('data-timeout'), e.target.value);
+      });
+    });
+
     // Add event listeners for screenshot thumbnails
     container.querySelectorAll('.screenshot-thumbnail').forEach(img => {
       img.addEventListener('click', (e) => {
         this.showScreenshotModal(e.target.src);
       });
+      this.loadThumbnail(img);
     });
   }
 
+  async loadThumbnail(img) {
+    const screenshotRef = img.getAttribute('data-screenshot-ref');
+
+    try {
+      if (!this.screenshotUrls.has(screenshotRef)) {
+        const blob = await ScreenshotStore.get(screenshotRef);
+        if (!blob) {
+          img.title = 'Screenshot missing from storage';
+          return;
+        }
+        this.screenshotUrls.set(screenshotRef, URL.createObjectURL(blob));
+      }
+      img.src = this.screenshotUrls.get(screenshotRef);
+    } catch (error) {
+      console.warn('Could not load screenshot thumbnail:', error);
+    }
+  }
+
   renderStepList(test, isReplaying = false) {
     if (!test.steps || test.steps.length === 0) {
-      return '<div class="test-steps"><div class="no-steps">No steps recorded</div></div>';
+      return `
+        <div class="test-steps">
+          <div class="no-steps">No steps recorded</div>
+          ${isReplaying ? '' : this.renderStepInsert(test)}
+        </div>
+      `;
     }
 
     const currentStep = isReplaying && this.currentReplayingTest ? this.currentReplayingTest.currentStep : 0;
@@ -1080,19 +1306,606 @@ class E2ETestRecorder {
 
       // Format step description
       let stepDescription = this.formatStepDescription(step);
+      if (step.timeout) {
+        stepDescription += ` <span class="step-timeout">⏱ ${step.timeout / 1000}s</span>`;
+      }
+      if (step.framePath && step.framePath.length > 0) {
+        const framePath = step.framePath.map(frame => SelectorUtils.format(frame)).join(' > ');
+        stepDescription += ` <span class="step-frame" title="${this.escapeHtml(framePath)}">in iframe</span>`;
+      }
+
+      // Steps are only editable while the test is not running
+      const editable = !isReplaying;
+      const isEditing = editable && this.editingStep &&
+                        this.editingStep.testId === test.id && this.editingStep.stepId === step.id;
 
       return `
-        <div class="step-item ${statusClass}">
+        <div class="step-item ${statusClass} ${step.disabled ? 'step-disabled' : ''}"
+             ${editable ? 'draggable="true"' : ''} data-test-id="${test.id}" data-step-index="${index}">
+          ${editable ? '<span class="step-drag-handle" title="Drag to reorder">⋮⋮</span>' : ''}
           <span class="step-status">${statusIcon}</span>
           <span class="step-number">${stepNumber}.</span>
           <span class="step-description">${stepDescription}</span>
+          ${editable ? this.renderStepActions(test, step) : ''}
         </div>
+        ${step.healedSelector && editable ? this.renderHealedSelector(test, step) : ''}
+        ${isEditing ? this.renderStepEditor(test, step) : ''}
       `;
     }).join('');
 
     return `
       <div class="test-steps">
+        ${this.renderTestTimeouts(test)}
         ${stepsHtml}
+        ${isReplaying ? '' : this.renderStepInsert(test)}
+      </div>
+    `;
+  }
+
+  renderStepActions(test, step) {
+    const attrs = `data-test-id="${test.id}" data-step-id="${step.id}"`;
+    return `
+      <span class="step-actions">
+        <button data-action="editStep" ${attrs} title="Edit">✏️</button>
+        <button data-action="duplicateStep" ${attrs} title="Duplicate">⧉</button>
+        <button data-action="toggleStepDisabled" ${attrs} title="${step.disabled ? 'Enable' : 'Disable (skip on replay)'}">${step.disabled ? '▶' : '⏸'}</button>
+        <button data-action="deleteStep" ${attrs} title="Delete">🗑</button>
+      </span>
+    `;
+  }
+
+  renderHealedSelector(test, step) {
+    const attrs = `data-test-id="${test.id}" data-step-id="${step.id}"`;
+    return `
+      <div class="step-healed">
+        🩹 Last replay used <code>${this.escapeHtml(this.truncateSelector(step.healedSelector))}</code>
+        <button class="btn-success" data-action="acceptHealedSelector" ${attrs}>Accept</button>
+        <button class="btn-secondary" data-action="dismissHealedSelector" ${attrs}>Dismiss</button>
+      </div>
+    `;
+  }
+
+  // Accepting makes the healed selector the step's primary one
+  async resolveHealedSelector(testId, stepId, accept) {
+    const { step } = this.findStep(testId, stepId);
+    if (!step || !step.healedSelector) return;
+
+    if (accept) {
+      step.selector = step.healedSelector;
+    }
+    delete step.healedSelector;
+
+    await this.saveTests();
+    this.updateUI();
+  }
+
+  renderStepInsert(test) {
+    const positions = test.steps.map((step, index) =>
+      `<option value="${index + 1}">after step ${index + 1}</option>`
+    ).join('');
+
+    return `
+      <div class="step-insert">
+        <select data-field="type">
+          <option value="wait">Wait</option>
+          <option value="assert">Assert</option>
+          <option value="navigation">Navigation</option>
+          <option value="extract">Extract</option>
+        </select>
+        <select data-field="position">
+          <option value="${test.steps.length}">at end</option>
+          <option value="0">at start</option>
+          ${positions}
+        </select>
+        <button data-action="insertStep" data-test-id="${test.id}">+ Insert</button>
+      </div>
+    `;
+  }
+
+  // Fields the editor offers for each step type, in display order
+  getEditableFields(step) {
+    switch (step.type) {
+      case 'click':
+        return ['selector', 'text', 'timeout'];
+      case 'input':
+        return ['selector', 'value', 'typeDelay', 'timeout'];
+      case 'change':
+        return ['selector', 'value', 'timeout'];
+      case 'keypress':
+        return ['selector', 'key', 'timeout'];
+      case 'drag':
+        return ['selector', 'targetSelector', 'timeout'];
+      case 'screenshot':
+        return step.selector ? ['selector', 'timeout'] : [];
+      case 'assert':
+        return ['assertion', 'operator', 'selector', 'attribute', 'expected', 'timeout'];
+      case 'navigation':
+        return ['toUrl', 'timeout'];
+      case 'extract':
+        return ['variable', 'source', 'selector', 'attribute', 'pattern', 'timeout'];
+      case 'wait':
+        return ['condition', 'delay', 'selector', 'text', 'urlPattern', 'idleTime', 'timeout'];
+      case 'switchTab':
+      case 'closeTab':
+        return ['tabIndex'];
+      case 'dialog':
+        if (step.dialogType === 'beforeunload') return ['response', 'timeout'];
+        return step.dialogType === 'prompt' ?
+          ['message', 'response', 'promptText', 'timeout'] :
+          ['message', 'response', 'timeout'];
+      default:
+        return ['selector', 'timeout'];
+    }
+  }
+
+  renderStepEditor(test, step) {
+    const fields = this.getEditableFields(step).map(field => this.renderStepField(field, step)).join('');
+
+    return `
+      <div class="step-editor" data-test-id="${test.id}" data-step-id="${step.id}">
+        ${fields || '<div class="no-steps">Nothing to edit for this step</div>'}
+        <div class="step-editor-error"></div>
+        <div class="step-editor-actions">
+          <button class="btn-primary" data-action="saveStep" data-test-id="${test.id}" data-step-id="${step.id}">Save</button>
+          <button class="btn-secondary" data-action="cancelStepEdit">Cancel</button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderStepField(field, step) {
+    let value = step[field] ?? '';
+    if (field === 'selector' || field === 'targetSelector') {
+      value = SelectorUtils.format(step[field]);
+    } else if (field === 'key') {
+      value = this.formatKeyCombo(step);
+    }
+    const select = (options) => `
+      <select data-field="${field}">
+        ${options.map(([optionValue, label]) =>
+          `<option value="${optionValue}" ${String(value) === String(optionValue) ? 'selected' : ''}>${label}</option>`
+        ).join('')}
+      </select>
+    `;
+    const text = (placeholder = '') =>
+      `<input type="text" data-field="${field}" value="${this.escapeHtml(String(value))}" placeholder="${placeholder}">`;
+
+    let input;
+    switch (field) {
+      case 'assertion':
+        input = select([
+          ['text', 'Text'], ['visible', 'Visible'], ['hidden', 'Hidden'], ['value', 'Value'],
+          ['attribute', 'Attribute'], ['url', 'URL'], ['count', 'Element count']
+        ]);
+        break;
+      case 'operator':
+        input = select([['equals', 'equals'], ['contains', 'contains'], ['matches', 'matches regex']]);
+        break;
+      case 'response':
+        input = select([['accept', 'OK'], ['dismiss', 'Cancel']]);
+        break;
+      case 'source':
+        input = select([['text', 'Text'], ['value', 'Value'], ['attribute', 'Attribute'], ['url', 'URL (regex group)']]);
+        break;
+      case 'variable':
+        input = text('e.g. orderNumber');
+        break;
+      case 'pattern':
+        input = text('e.g. /orders/(\\d+)');
+        break;
+      case 'condition':
+        input = select([
+          ['delay', 'Fixed delay'], ['present', 'Element present'], ['absent', 'Element absent'],
+          ['text', 'Text present'], ['url', 'URL matches'], ['networkIdle', 'Network idle']
+        ]);
+        break;
+      case 'value':
+        input = typeof step.value === 'boolean' ? select([['true', 'checked'], ['false', 'unchecked']]) : text();
+        break;
+      case 'timeout':
+        input = `<input type="number" min="1" data-field="timeout" value="${step.timeout ? step.timeout / 1000 : ''}"
+                 placeholder="${this.settings.stepTimeout / 1000}">`;
+        break;
+      case 'delay':
+        input = `<input type="number" min="0" data-field="delay" value="${step.delay ?? 1000}">`;
+        break;
+      case 'idleTime':
+        input = `<input type="number" min="0" data-field="idleTime" value="${step.idleTime ?? ''}" placeholder="500">`;
+        break;
+      case 'urlPattern':
+        input = text('e.g. https://example.com/orders/*');
+        break;
+      case 'typeDelay':
+        // Blank fills the field in one go; a delay types it key by key
+        input = `<input type="number" min="0" data-field="typeDelay" value="${step.typeDelay ?? ''}" placeholder="all at once">`;
+        break;
+      case 'tabIndex':
+        // Shown counting from 1, as in the step list
+        input = `<input type="number" min="1" data-field="tabIndex" value="${(step.tabIndex ?? 0) + 1}">`;
+        break;
+      case 'text':
+        input = text(step.type === 'wait' ? '' : 'any text');
+        break;
+      case 'key':
+        input = text('e.g. Escape or Control+K');
+        break;
+      default:
+        input = text();
+    }
+
+    const labels = {
+      selector: 'Selector',
+      targetSelector: 'Drop on',
+      text: 'Expected text',
+      value: 'Value',
+      key: 'Key',
+      timeout: 'Timeout (s)',
+      assertion: 'Assert',
+      operator: 'Operator',
+      attribute: 'Attribute',
+      expected: 'Expected',
+      toUrl: 'URL',
+      delay: 'Delay (ms)',
+      condition: 'Wait for',
+      variable: 'Variable',
+      source: 'From',
+      pattern: 'URL regex',
+      urlPattern: 'URL pattern',
+      idleTime: 'Idle for (ms)',
+      typeDelay: 'Type per key (ms)',
+      tabIndex: 'Tab',
+      message: 'Message',
+      response: 'Answer',
+      promptText: 'Prompt answer'
+    };
+
+    return `<label class="step-field"><span>${labels[field]}</span>${input}</label>`;
+  }
+
+  // Read the editor back into a copy of the step; blank optional fields are dropped
+  readStepEditor(step, editor) {
+    const updated = { ...step };
+
+    editor.querySelectorAll('[data-field]').forEach(input => {
+      const field = input.getAttribute('data-field');
+      const raw = input.value;
+
+      switch (field) {
+        case 'timeout':
+          if (raw.trim() === '') {
+            delete updated.timeout;
+          } else {
+            updated.timeout = parseFloat(raw) > 0 ? Math.round(parseFloat(raw) * 1000) : NaN;
+          }
+          break;
+        case 'delay':
+          updated.delay = raw.trim() === '' ? NaN : Number(raw);
+          break;
+        case 'idleTime':
+        case 'typeDelay':
+          if (raw.trim() === '') {
+            delete updated[field];
+          } else {
+            updated[field] = Number(raw);
+          }
+          break;
+        case 'tabIndex':
+          updated.tabIndex = Number(raw) - 1;
+          break;
+        case 'value':
+          updated.value = typeof step.value === 'boolean' ? raw === 'true' : raw;
+          break;
+        case 'selector':
+        case 'targetSelector':
+          updated[field] = SelectorUtils.parse(raw);
+          break;
+        case 'key': {
+          const { key, modifiers } = this.parseKeyCombo(raw);
+          if (key !== step.key) delete updated.code;
+          updated.key = key;
+          if (modifiers.length > 0) {
+            updated.modifiers = modifiers;
+          } else {
+            delete updated.modifiers;
+          }
+          break;
+        }
+        case 'toUrl':
+        case 'urlPattern':
+        case 'variable':
+          updated[field] = raw.trim();
+          break;
+        default:
+          updated[field] = raw;
+      }
+    });
+
+    if (updated.type === 'assert') {
+      if (updated.assertion === 'count') {
+        updated.expected = Number(updated.expected);
+      }
+      if (updated.assertion !== 'attribute') {
+        delete updated.attribute;
+      }
+      if (updated.assertion === 'url') {
+        delete updated.selector;
+      }
+    }
+    if (updated.type === 'click' && !updated.text) {
+      delete updated.text;
+    }
+    if (updated.type === 'extract') {
+      if (updated.source === 'url') {
+        delete updated.selector;
+      } else {
+        delete updated.pattern;
+      }
+      if (updated.source !== 'attribute') {
+        delete updated.attribute;
+      }
+    }
+    if (updated.type === 'wait') {
+      // Keep only what the chosen condition reads; a fixed delay has no timeout
+      const used = {
+        delay: ['delay'], present: ['selector'], absent: ['selector'],
+        text: ['text'], url: ['urlPattern'], networkIdle: ['idleTime']
+      }[updated.condition] || [];
+      ['delay', 'selector', 'text', 'urlPattern', 'idleTime']
+        .filter(field => !used.includes(field))
+        .forEach(field => delete updated[field]);
+      if (updated.condition === 'delay') {
+        delete updated.timeout;
+      }
+    }
+
+    return updated;
+  }
+
+  // Returns an error message, or null when the step can be saved
+  validateStep(step) {
+    const needsSelector = ['click', 'input', 'change', 'keypress', 'hover', 'dblclick', 'contextmenu', 'drag'].includes(step.type) ||
+                          (step.type === 'assert' && step.assertion !== 'url') ||
+                          (step.type === 'wait' && ['present', 'absent'].includes(step.condition)) ||
+                          (step.type === 'extract' && step.source !== 'url');
+
+    if (needsSelector && !step.selector) {
+      return 'A selector is required';
+    }
+    if (step.selector && !this.isValidSelector(step.selector)) {
+      return `"${SelectorUtils.format(step.selector)}" is not a valid selector`;
+    }
+    if ('timeout' in step && !(step.timeout > 0)) {
+      return 'Timeout must be a positive number of seconds';
+    }
+    if ('typeDelay' in step && !(step.typeDelay >= 0)) {
+      return 'Typing delay must be zero or more milliseconds';
+    }
+
+    switch (step.type) {
+      case 'keypress':
+        if (!step.key) return 'A key is required';
+        break;
+      case 'drag':
+        if (!step.targetSelector) return 'A drop target selector is required';
+        if (!this.isValidSelector(step.targetSelector)) {
+          return `"${SelectorUtils.format(step.targetSelector)}" is not a valid selector`;
+        }
+        break;
+      case 'navigation':
+        try {
+          new URL(step.toUrl);
+        } catch (error) {
+          return `"${step.toUrl}" is not a valid URL`;
+        }
+        break;
+      case 'extract':
+        if (!StepVariables.isValidName(step.variable)) {
+          return 'Variable names use letters, digits and _, and cannot start with a digit';
+        }
+        if (step.source === 'attribute' && !step.attribute) return 'An attribute name is required';
+        if (step.source === 'url') {
+          if (!step.pattern) return 'A URL regex is required';
+          try {
+            new RegExp(step.pattern);
+          } catch (error) {
+            return `"${step.pattern}" is not a valid regular expression`;
+          }
+        }
+        break;
+      case 'wait':
+        if ((step.condition || 'delay') === 'delay' && !(step.delay >= 0)) {
+          return 'Delay must be zero or more milliseconds';
+        }
+        if (step.condition === 'text' && !step.text) return 'Text to wait for is required';
+        if (step.condition === 'url' && !step.urlPattern) return 'A URL pattern is required';
+        if ('idleTime' in step && !(step.idleTime >= 0)) return 'Idle time must be zero or more milliseconds';
+        break;
+      case 'switchTab':
+      case 'closeTab':
+        if (!(Number.isInteger(step.tabIndex) && step.tabIndex >= 0)) return 'Tab must be a whole number from 1';
+        break;
+      case 'assert':
+        if (step.assertion === 'attribute' && !step.attribute) {
+          return 'An attribute name is required';
+        }
+        if (step.assertion === 'count' && !(Number.isInteger(step.expected) && step.expected >= 0)) {
+          return 'Expected count must be a whole number';
+        }
+        if (step.operator === 'matches') {
+          try {
+            new RegExp(step.expected);
+          } catch (error) {
+            return `Invalid regular expression: ${error.message}`;
+          }
+        }
+        break;
+    }
+
+    return null;
+  }
+
+  // Same check the content script uses before querying with a recorded selector;
+  // {{variables}} are only known during a run, so a sample value stands in
+  isValidSelector(selector) {
+    return SelectorUtils.isValid(StepVariables.withSampleValues(selector));
+  }
+
+  findStep(testId, stepId) {
+    const test = this.tests.find(t => t.id === testId);
+    const index = test ? test.steps.findIndex(step => step.id === stepId) : -1;
+    return { test, index, step: index !== -1 ? test.steps[index] : null };
+  }
+
+  editStep(testId, stepId) {
+    this.discardNewStep();
+    this.editingStep = { testId, stepId, isNew: false };
+    this.updateUI();
+  }
+
+  async saveStepEdit(testId, stepId, editor) {
+    const { test, index, step } = this.findStep(testId, stepId);
+    if (!step || !editor) return;
+
+    const updated = this.readStepEditor(step, editor);
+    const error = this.validateStep(updated);
+    if (error) {
+      editor.querySelector('.step-editor-error').textContent = error;
+      return;
+    }
+
+    test.steps[index] = updated;
+    this.editingStep = null;
+    await this.saveTests();
+    this.updateUI();
+  }
+
+  cancelStepEdit() {
+    this.discardNewStep();
+    this.editingStep = null;
+    this.updateUI();
+  }
+
+  // An inserted step only reaches storage once it is saved from the editor
+  discardNewStep() {
+    if (this.editingStep && this.editingStep.isNew) {
+      const { test, index } = this.findStep(this.editingStep.testId, this.editingStep.stepId);
+      if (index !== -1) test.steps.splice(index, 1);
+    }
+  }
+
+  insertStep(testId, insertRow) {
+    const test = this.tests.find(t => t.id === testId);
+    if (!test || !insertRow) return;
+
+    const type = insertRow.querySelector('[data-field="type"]').value;
+    const position = parseInt(insertRow.querySelector('[data-field="position"]').value);
+
+    const defaults = {
+      wait: { type: 'wait', condition: 'delay', delay: 1000 },
+      assert: { type: 'assert', assertion: 'visible', operator: 'equals', selector: '', expected: '' },
+      navigation: { type: 'navigation', action: 'goto', toUrl: test.url || '' },
+      extract: { type: 'extract', variable: '', source: 'text', selector: '' }
+    };
+
+    this.discardNewStep();
+    const step = TestSchema.createStep({ ...defaults[type], timestamp: Date.now() });
+    test.steps.splice(Math.min(position, test.steps.length), 0, step);
+
+    this.editingStep = { testId, stepId: step.id, isNew: true };
+    this.updateUI();
+  }
+
+  async duplicateStep(testId, stepId) {
+    const { test, index, step } = this.findStep(testId, stepId);
+    if (!step) return;
+
+    test.steps.splice(index + 1, 0, TestSchema.createStep({ ...step, id: null }));
+    await this.saveTests();
+    this.updateUI();
+  }
+
+  async toggleStepDisabled(testId, stepId) {
+    const { step } = this.findStep(testId, stepId);
+    if (!step) return;
+
+    if (step.disabled) {
+      delete step.disabled;
+    } else {
+      step.disabled = true;
+    }
+    await this.saveTests();
+    this.updateUI();
+  }
+
+  async deleteStep(testId, stepId) {
+    const { test, index } = this.findStep(testId, stepId);
+    if (index === -1 || !confirm(`Delete step ${index + 1}?`)) return;
+
+    test.steps.splice(index, 1);
+    if (this.editingStep && this.editingStep.stepId === stepId) {
+      this.editingStep = null;
+    }
+    await this.saveTests();
+    this.updateUI();
+    await this.collectScreenshotGarbage();
+  }
+
+  async moveStep(testId, fromIndex, toIndex) {
+    const test = this.tests.find(t => t.id === testId);
+    if (!test || fromIndex === toIndex) return;
+
+    const [step] = test.steps.splice(fromIndex, 1);
+    test.steps.splice(toIndex, 0, step);
+    await this.saveTests();
+    this.updateUI();
+  }
+
+  setupStepDragAndDrop(container) {
+    container.querySelectorAll('.step-item[draggable="true"]').forEach(item => {
+      const testId = item.getAttribute('data-test-id');
+      const index = parseInt(item.getAttribute('data-step-index'));
+
+      item.addEventListener('dragstart', (e) => {
+        this.draggedStep = { testId, index };
+        e.dataTransfer.effectAllowed = 'move';
+        item.classList.add('step-dragging');
+      });
+
+      item.addEventListener('dragend', () => {
+        this.draggedStep = null;
+        item.classList.remove('step-dragging');
+      });
+
+      item.addEventListener('dragover', (e) => {
+        // Steps can only be moved within their own test
+        if (this.draggedStep && this.draggedStep.testId === testId) {
+          e.preventDefault();
+          item.classList.add('step-drag-over');
+        }
+      });
+
+      item.addEventListener('dragleave', () => item.classList.remove('step-drag-over'));
+
+      item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        item.classList.remove('step-drag-over');
+        if (this.draggedStep && this.draggedStep.testId === testId) {
+          this.moveStep(testId, this.draggedStep.index, index);
+        }
+      });
+    });
+  }
+
+  renderTestTimeouts(test) {
+    const seconds = (ms) => ms ? ms / 1000 : '';
+
+    return `
+      <div class="test-timeouts">
+        <span>Timeouts (s):</span>
+        <label>step <input type="number" min="1" data-test-id="${test.id}" data-timeout="stepTimeout"
+               value="${seconds(test.stepTimeout)}" placeholder="${seconds(this.settings.stepTimeout)}"></label>
+        <label>test <input type="number" min="1" data-test-id="${test.id}" data-timeout="timeout"
+               value="${seconds(test.timeout)}" placeholder="${seconds(this.settings.testTimeout)}"></label>
       </div>
     `;
   }
@@ -1102,13 +1915,40 @@ class E2ETestRecorder {
       case 'click':
         return `Click: <code>${this.truncateSelector(step.selector)}</code>`;
       case 'input':
-        return `Input: <code>${this.truncateSelector(step.selector)}</code> = "${this.escapeHtml(step.value || '')}"`;
+        return `Input: <code>${this.truncateSelector(step.selector)}</code> = "${this.escapeHtml(step.value || '')}"` +
+          (step.typeDelay !== undefined ? ` (typed, ${Number(step.typeDelay)}ms/key)` : '');
       case 'keypress':
-        return `Key: <code>${step.key}</code> on <code>${this.truncateSelector(step.selector)}</code>`;
+        return `Key: <code>${this.escapeHtml(this.formatKeyCombo(step))}</code> on <code>${this.truncateSelector(step.selector)}</code>`;
+      case 'hover':
+        return `Hover: <code>${this.truncateSelector(step.selector)}</code>`;
+      case 'dblclick':
+        return `Double-click: <code>${this.truncateSelector(step.selector)}</code>`;
+      case 'contextmenu':
+        return `Right-click: <code>${this.truncateSelector(step.selector)}</code>`;
+      case 'drag':
+        return `Drag: <code>${this.truncateSelector(step.selector)}</code> → <code>${this.truncateSelector(step.targetSelector)}</code>`;
       case 'change':
         return `Change: <code>${this.truncateSelector(step.selector)}</code> = "${this.escapeHtml(step.value || '')}"`;
+      case 'wait':
+        return this.formatWaitDescription(step);
+      case 'extract': {
+        const source = step.source === 'url' ?
+          `URL <code>/${this.escapeHtml(step.pattern || '')}/</code>` :
+          `${step.source === 'attribute' ? `<code>${this.escapeHtml(step.attribute || '')}</code>` : step.source || 'text'} of <code>${this.escapeHtml(this.truncateSelector(step.selector))}</code>`;
+        return `📦 Extract ${source} into <code>{{${this.escapeHtml(step.variable || '')}}}</code>`;
+      }
+      case 'switchTab':
+        return `🗂️ Switch to tab ${step.tabIndex + 1}`;
+      case 'closeTab':
+        return `🗂️ Close tab ${step.tabIndex + 1}`;
+      case 'dialog':
+        return this.formatDialogDescription(step);
       case 'screenshot':
-        return `Screenshot checkpoint`;
+        return step.selector ?
+          `Element checkpoint: <code>${this.truncateSelector(step.selector)}</code>` :
+          `Screenshot checkpoint`;
+      case 'assert':
+        return this.formatAssertionDescription(step);
       case 'navigation':
         if (step.action === 'start') {
           return `🎬 Start test at: <code>${this.truncateUrl(step.toUrl || 'page')}</code>`;
@@ -1116,6 +1956,8 @@ class E2ETestRecorder {
           return `🔗 Navigate away from: <code>${this.truncateUrl(step.fromUrl || 'current page')}</code>`;
         } else if (step.action === 'arrived') {
           return `🔗 Navigate to: <code>${this.truncateUrl(step.toUrl || 'page')}</code>`;
+        } else if (step.action === 'route') {
+          return `🧭 Route change to: <code>${this.truncateUrl(step.toUrl || 'page')}</code>`;
         } else {
           return `🔗 Navigate to: <code>${this.truncateUrl(step.toUrl || step.fromUrl || 'page')}</code>`;
         }
@@ -1124,7 +1966,73 @@ class E2ETestRecorder {
     }
   }
 
+  // Keys are written as in Playwright: modifiers first, joined with "+"
+  formatKeyCombo(step) {
+    return [...(step.modifiers || []), step.key === ' ' ? 'Space' : step.key].join('+');
+  }
+
+  parseKeyCombo(raw) {
+    const [, prefix, key] = raw.trim().match(/^((?:(?:Control|Alt|Shift|Meta)\+)*)(.*)$/);
+    return {
+      key: key === 'Space' ? ' ' : key,
+      modifiers: prefix.split('+').filter(Boolean)
+    };
+  }
+
+  formatDialogDescription(step) {
+    const answer = step.response === 'dismiss' ? 'Cancel' :
+      step.dialogType === 'prompt' ? `"${this.escapeHtml(step.promptText ?? '')}"` : 'OK';
+
+    if (step.dialogType === 'beforeunload') {
+      return `💬 Leave-page prompt → ${step.response === 'dismiss' ? 'Stay' : 'Leave'}`;
+    }
+    return `💬 ${this.escapeHtml(step.dialogType)} <code>${this.escapeHtml(this.truncateUrl(step.message || ''))}</code> → ${answer}`;
+  }
+
+  formatWaitDescription(step) {
+    switch (step.condition) {
+      case 'present':
+        return `⏲️ Wait for <code>${this.escapeHtml(this.truncateSelector(step.selector))}</code> to appear`;
+      case 'absent':
+        return `⏲️ Wait for <code>${this.escapeHtml(this.truncateSelector(step.selector))}</code> to disappear`;
+      case 'text':
+        return `⏲️ Wait for text "${this.escapeHtml(step.text || '')}"`;
+      case 'url':
+        return `⏲️ Wait for URL <code>${this.escapeHtml(this.truncateUrl(step.urlPattern))}</code>`;
+      case 'networkIdle':
+        return `⏲️ Wait for network idle (${step.idleTime ?? 500}ms)`;
+      default:
+        return `⏲️ Wait ${Number(step.delay) || 0}ms`;
+    }
+  }
+
+  formatAssertionDescription(step) {
+    const target = `<code>${this.escapeHtml(this.truncateSelector(step.selector))}</code>`;
+    const operator = { contains: 'contains', matches: 'matches' }[step.operator] || '=';
+    const expected = `"${this.escapeHtml(String(step.expected ?? ''))}"`;
+
+    switch (step.assertion) {
+      case 'text':
+        return `✔️ Assert text of ${target} ${operator} ${expected}`;
+      case 'visible':
+        return `✔️ Assert ${target} is visible`;
+      case 'hidden':
+        return `✔️ Assert ${target} is hidden`;
+      case 'value':
+        return `✔️ Assert value of ${target} ${operator} ${expected}`;
+      case 'attribute':
+        return `✔️ Assert <code>${this.escapeHtml(step.attribute || '')}</code> of ${target} ${operator} ${expected}`;
+      case 'url':
+        return `✔️ Assert URL ${operator} <code>${this.escapeHtml(this.truncateUrl(String(step.expected ?? '')))}</code>`;
+      case 'count':
+        return `✔️ Assert ${Number(step.expected)} × ${target}`;
+      default:
+        return `✔️ Assert ${this.escapeHtml(step.assertion || 'unknown')}`;
+    }
+  }
+
   truncateSelector(selector) {
+    selector = SelectorUtils.format(selector);
     if (!selector) return 'unknown';
     if (selector.length <= 50) return selector;
     return selector.substring(0, 47) + '...';
@@ -1138,12 +2046,11 @@ class E2ETestRecorder {
 
   toggleSteps(index) {
     const test = this.tests[index];
-    const testKey = `${test.name}_${test.timestamp}`;
 
-    if (this.expandedTests.has(testKey)) {
-      this.expandedTests.delete(testKey);
+    if (this.expandedTests.has(test.id)) {
+      this.expandedTests.delete(test.id);
     } else {
-      this.expandedTests.add(testKey);
+      this.expandedTests.add(test.id);
     }
 
     this.updateUI();
@@ -1183,12 +2090,17 @@ class E2ETestRecorder {
     console.log(`🛑 Force stopping test: ${testName}`);
 
     try {
-      // Send force stop message to content script
-      await this.sendMessageToActiveTab({
-        action: 'forceStopTest',
+      // Ask the background orchestrator to stop the run
+      const response = await chrome.runtime.sendMessage({
+        action: 'stopTestExecution',
+        tabId: this.currentReplayingTest.tabId,
         executionId: this.currentReplayingTest.executionId
       });
 
+      if (response && response.error) {
+        throw new Error(response.error);
+      }
+
       // Reset local state
       this.currentReplayingTest = null;
       await this.clearReplayState();
@@ -1246,6 +2158,8 @@ class E2ETestRecorder {
     } catch (error) {
       console.warn('Could not clear background state:', error);
     }
+    await this.discardRecordingSession();
+    await this.collectScreenshotGarbage();
 
     this.forceStopFailed = false; // Reset the flag
     this.updateUI();
@@ -1269,6 +2183,7 @@ class E2ETestRecorder {
 
       // Clear any recording state
       await chrome.storage.local.remove(['recordingState']);
+      await this.discardRecordingSession();
 
       // Clear replay state
       this.currentReplayingTest = null;
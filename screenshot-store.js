@@ -0,0 +1,106 @@
+class ScreenshotStore {
+  static DB_NAME = 'e2e-screenshots';
+  static STORE_NAME = 'blobs';
+
+  // Blobs newer than this are never collected, so a screenshot that was just
+  // stored but is not yet referenced by a saved test survives a GC run
+  static GC_GRACE_PERIOD = 10 * 60 * 1000;
+
+  static dbPromise = null;
+
+  static open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.STORE_NAME, { keyPath: 'hash' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  static async request(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE_NAME, mode);
+      const request = operation(transaction.objectStore(this.STORE_NAME));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  static async hashBlob(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  // Store a screenshot data URL and return its content hash (the reference kept on steps)
+  static async put(dataUrl) {
+    const blob = await (await fetch(dataUrl)).blob();
+    const hash = await this.hashBlob(blob);
+
+    await this.request('readwrite', store => store.put({
+      hash: hash,
+      blob: blob,
+      size: blob.size,
+      storedAt: Date.now()
+    }));
+
+    return hash;
+  }
+
+  static async get(hash) {
+    const record = await this.request('readonly', store => store.get(hash));
+    return record ? record.blob : null;
+  }
+
+  static async getDataUrl(hash) {
+    const blob = await this.get(hash);
+    if (!blob) return null;
+
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  static async getUsage() {
+    const records = await this.request('readonly', store => store.getAll());
+    return {
+      count: records.length,
+      bytes: records.reduce((total, record) => total + (record.size || 0), 0)
+    };
+  }
+
+  // Delete every blob that is not in referencedHashes and is past the grace period
+  static async collectGarbage(referencedHashes) {
+    const records = await this.request('readonly', store => store.getAll());
+    const cutoff = Date.now() - this.GC_GRACE_PERIOD;
+    const orphans = records
+      .filter(record => !referencedHashes.has(record.hash) && record.storedAt < cutoff)
+      .map(record => record.hash);
+
+    if (orphans.length > 0) {
+      await this.request('readwrite', (store) => {
+        orphans.forEach(hash => store.delete(hash));
+        return null;
+      });
+    }
+
+    return orphans.length;
+  }
+}
+
+// Export for use in the popup and the background service worker
+self.ScreenshotStore = ScreenshotStore;
@@ -1,3 +1,6 @@
+// Prevent multiple instances: the manifest loads this file and tab loads inject it again
+if (typeof window.ScrollManager === 'undefined') {
+
 class ScrollManager {
   static saveScrollPositions() {
     const savedScrollData = [];
@@ -72,4 +75,6 @@ class ScrollManager {
 }
 
 // Export for use in Chrome extension
-window.ScrollManager = ScrollManager;
\ No newline at end of file
+window.ScrollManager = ScrollManager;
+
+} // End of the if block that prevents multiple loading
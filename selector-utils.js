@@ -0,0 +1,411 @@
+// Prevent multiple instances: the manifest loads this file and tab loads inject it again
+if (typeof self.SelectorUtils === 'undefined') {
+
+// Selectors recorded on steps are either strings (CSS, or XPath prefixed
+// `xpath=`) or locator objects ({ strategy: 'text', tag, text, exact },
+// { strategy: 'role', role, name }, or { strategy: 'shadow', path } where
+// path holds one selector per shadow root, outermost host first).
+// This class is the one place that knows how to display, parse, validate and
+// resolve all of them.
+class SelectorUtils {
+  // Elements that can carry each implicit role; getRole() has the exact rules
+  static ROLE_TAGS = {
+    link: ['a', 'area'],
+    button: ['button', 'summary', 'input'],
+    checkbox: ['input'],
+    radio: ['input'],
+    slider: ['input'],
+    spinbutton: ['input'],
+    searchbox: ['input'],
+    textbox: ['input', 'textarea'],
+    combobox: ['select'],
+    listbox: ['select'],
+    option: ['option'],
+    heading: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+    img: ['img'],
+    navigation: ['nav'],
+    main: ['main'],
+    form: ['form'],
+    dialog: ['dialog'],
+    list: ['ul', 'ol'],
+    listitem: ['li'],
+    table: ['table'],
+    row: ['tr'],
+    cell: ['td'],
+    columnheader: ['th'],
+    progressbar: ['progress'],
+    article: ['article'],
+    complementary: ['aside'],
+    banner: ['header'],
+    contentinfo: ['footer'],
+    separator: ['hr']
+  };
+
+  // Roles whose accessible name comes from their text content
+  static NAME_FROM_CONTENT_ROLES = new Set([
+    'button', 'link', 'heading', 'cell', 'columnheader', 'rowheader', 'checkbox', 'radio',
+    'option', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'treeitem', 'switch', 'tooltip'
+  ]);
+
+  static normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  static isLocator(selector) {
+    return !!selector && typeof selector === 'object' && !!selector.strategy;
+  }
+
+  static isXPath(selector) {
+    return typeof selector === 'string' && selector.startsWith('xpath=');
+  }
+
+  static isShadowPath(selector) {
+    return this.isLocator(selector) && selector.strategy === 'shadow';
+  }
+
+  // Scope `inner` (resolved inside a host's shadow root) under the host's selector
+  static shadowChain(hostSelector, inner) {
+    const parts = (selector) => this.isShadowPath(selector) ? selector.path : [selector];
+    return { strategy: 'shadow', path: [...parts(hostSelector), ...parts(inner)] };
+  }
+
+  // The individual selectors a step's selector is made of
+  static parts(selector) {
+    return this.isShadowPath(selector) ? selector.path : [selector];
+  }
+
+  // The expression without its `xpath=` prefix
+  static xpathExpression(selector) {
+    return selector.slice('xpath='.length);
+  }
+
+  // Human-readable form, also what the step editor shows and parses back
+  static format(selector) {
+    if (!this.isLocator(selector)) {
+      return selector || '';
+    }
+
+    switch (selector.strategy) {
+      case 'text': {
+        const prefix = selector.tag && selector.tag !== '*' ? `${selector.tag} ` : '';
+        const text = selector.exact ? JSON.stringify(selector.text) : selector.text;
+        return `${prefix}text=${text}`;
+      }
+      case 'role':
+        return `role=${selector.role}${selector.name ? `[name=${JSON.stringify(selector.name)}]` : ''}`;
+      case 'shadow':
+        return selector.path.map(part => this.format(part)).join(' >>> ');
+      default:
+        return JSON.stringify(selector);
+    }
+  }
+
+  // How replay errors name a step, in the service worker and in the page:
+  // its number, its kind and what it acts on
+  static describeStep(step, stepNumber) {
+    const type = step.type === 'assert' ? `assert ${step.assertion}` :
+                 step.type === 'dialog' ? `dialog ${step.dialogType}` :
+                 step.type === 'wait' ? `wait ${step.condition || 'delay'}` : step.type;
+    let target = step.type === 'navigation' ? step.toUrl : this.format(step.selector);
+    if (step.type === 'switchTab' || step.type === 'closeTab') {
+      target = `tab ${step.tabIndex + 1}`;
+    } else if (step.type === 'dialog') {
+      target = step.message;
+    } else if (step.type === 'wait' && step.condition === 'text') {
+      target = step.text;
+    } else if (step.type === 'wait' && step.condition === 'url') {
+      target = step.urlPattern;
+    }
+    return `Step ${stepNumber} (${type}${target ? ` "${target}"` : ''})`;
+  }
+
+  // Inverse of format(): `button text="Place order"` is an exact text locator,
+  // an unquoted value matches as a substring, `a >>> b` crosses into a's
+  // shadow root, anything else (including `xpath=` expressions) stays a string
+  static parse(value) {
+    const trimmed = (value || '').trim();
+
+    if (trimmed.includes(' >>> ')) {
+      return { strategy: 'shadow', path: trimmed.split(' >>> ').map(part => this.parse(part)) };
+    }
+
+    const textMatch = trimmed.match(/^(?:([a-zA-Z][\w-]*|\*)\s+)?text=(.+)$/);
+    if (textMatch) {
+      const raw = textMatch[2].trim();
+      const quoted = raw.length >= 2 && raw.startsWith('"') && raw.endsWith('"');
+      let text = raw;
+      if (quoted) {
+        try {
+          text = JSON.parse(raw);
+        } catch (error) {
+          text = raw.slice(1, -1);
+        }
+      }
+      return { strategy: 'text', tag: (textMatch[1] || '*').toLowerCase(), text: text, exact: quoted };
+    }
+
+    const roleMatch = trimmed.match(/^role=([a-z]+)(?:\[name=(".*")\])?$/);
+    if (roleMatch) {
+      const locator = { strategy: 'role', role: roleMatch[1] };
+      if (roleMatch[2]) {
+        try {
+          locator.name = JSON.parse(roleMatch[2]);
+        } catch (error) {
+          locator.name = roleMatch[2].slice(1, -1);
+        }
+      }
+      return locator;
+    }
+
+    return trimmed;
+  }
+
+  static isValid(selector) {
+    if (this.isLocator(selector)) {
+      switch (selector.strategy) {
+        case 'text':
+          return typeof selector.text === 'string' && this.normalizeText(selector.text).length > 0;
+        case 'role':
+          return typeof selector.role === 'string' && /^[a-z]+$/.test(selector.role);
+        case 'shadow':
+          return Array.isArray(selector.path) && selector.path.length >= 2 &&
+            selector.path.every(part => !this.isShadowPath(part) && this.isValid(part));
+        default:
+          return false;
+      }
+    }
+
+    if (typeof selector !== 'string' || !selector.trim()) {
+      return false;
+    }
+
+    if (this.isXPath(selector)) {
+      try {
+        document.createExpression(this.xpathExpression(selector));
+        return true;
+      } catch (e) {
+        return false;
+      }
+    }
+
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Resolve any selector to the matching elements, in document order
+  static queryAll(selector, root = document) {
+    if (this.isXPath(selector)) {
+      return this.queryXPath(this.xpathExpression(selector), root);
+    }
+
+    if (!this.isLocator(selector)) {
+      return Array.from(root.querySelectorAll(selector));
+    }
+
+    switch (selector.strategy) {
+      case 'text':
+        return this.queryText(selector, root);
+      case 'role':
+        return this.queryRole(selector, root);
+      case 'shadow':
+        return this.queryShadow(selector, root);
+      default:
+        throw new Error(`Unknown locator strategy: ${selector.strategy}`);
+    }
+  }
+
+  // Walk the rendered text nodes and return, for each one, the innermost
+  // element (of the locator's tag) whose text matches the locator
+  static queryText(locator, root = document) {
+    const target = this.normalizeText(locator.text);
+    const tag = (locator.tag || '*').toUpperCase();
+    const ignoredParents = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+    const results = [];
+    const seen = new Set();
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        const parent = node.parentElement;
+        if (!node.nodeValue.trim() || !parent || ignoredParents.has(parent.tagName)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        // Text in elements that are not rendered is not visible text
+        return parent.getClientRects().length > 0 ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+      }
+    });
+
+    while (walker.nextNode()) {
+      let element = walker.currentNode.parentElement;
+
+      while (element) {
+        if (tag === '*' || element.tagName === tag) {
+          const text = this.normalizeText(element.textContent);
+          if (locator.exact ? text === target : text.includes(target)) {
+            if (!seen.has(element)) {
+              seen.add(element);
+              results.push(element);
+            }
+            break;
+          }
+        }
+        if (element === root) break;
+        element = element.parentElement;
+      }
+    }
+
+    return results;
+  }
+
+  // XPath string literals have no escapes, so mixed quotes need concat()
+  static toXPathLiteral(text) {
+    if (!text.includes("'")) return `'${text}'`;
+    if (!text.includes('"')) return `"${text}"`;
+    return `concat(${text.split("'").map(part => `'${part}'`).join(`, "'", `)})`;
+  }
+
+  static queryXPath(expression, root = document) {
+    const doc = root.ownerDocument || root;
+    const snapshot = doc.evaluate(expression, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    const results = [];
+    for (let i = 0; i < snapshot.snapshotLength; i++) {
+      const node = snapshot.snapshotItem(i);
+      if (node.nodeType === Node.ELEMENT_NODE) results.push(node);
+    }
+    return results;
+  }
+
+  // Resolve each host selector in turn and descend into the open shadow roots it matches
+  static queryShadow(locator, root = document) {
+    let scopes = [root];
+    locator.path.slice(0, -1).forEach(hostSelector => {
+      scopes = scopes
+        .flatMap(scope => this.queryAll(hostSelector, scope))
+        .map(host => host.shadowRoot)
+        .filter(Boolean);
+    });
+
+    const target = locator.path[locator.path.length - 1];
+    return scopes.flatMap(scope => this.queryAll(target, scope));
+  }
+
+  static queryRole(locator, root = document) {
+    const tags = this.ROLE_TAGS[locator.role] || [];
+    const candidates = root.querySelectorAll([...tags, `[role~="${locator.role}"]`].join(', '));
+    const name = locator.name !== undefined ? this.normalizeText(locator.name) : null;
+
+    return Array.from(candidates).filter(element =>
+      this.getRole(element) === locator.role &&
+      !element.closest('[aria-hidden="true"]') &&
+      element.getClientRects().length > 0 &&
+      (name === null || this.getAccessibleName(element) === name)
+    );
+  }
+
+  // Explicit role, else the implicit role from the HTML-ARIA mapping (common elements only)
+  static getRole(element) {
+    const explicit = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+    if (explicit) return explicit;
+
+    const tag = element.tagName.toLowerCase();
+    switch (tag) {
+      case 'a':
+      case 'area':
+        return element.hasAttribute('href') ? 'link' : null;
+      case 'input':
+        return this.getInputRole(element);
+      case 'select':
+        return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+      case 'img':
+        return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+      case 'summary':
+        return 'button';
+      default:
+        return Object.keys(this.ROLE_TAGS).find(role => this.ROLE_TAGS[role].includes(tag)) || null;
+    }
+  }
+
+  static getInputRole(input) {
+    switch ((input.getAttribute('type') || 'text').toLowerCase()) {
+      case 'button':
+      case 'submit':
+      case 'reset':
+      case 'image':
+        return 'button';
+      case 'checkbox':
+        return 'checkbox';
+      case 'radio':
+        return 'radio';
+      case 'range':
+        return 'slider';
+      case 'number':
+        return 'spinbutton';
+      case 'search':
+        return 'searchbox';
+      case 'text':
+      case 'email':
+      case 'tel':
+      case 'url':
+      case 'password':
+        return 'textbox';
+      default:
+        return null;
+    }
+  }
+
+  // A practical subset of the accessible name computation: aria-labelledby,
+  // aria-label, labels, alt text, button values, content, then title/placeholder
+  static getAccessibleName(element) {
+    // ids referenced by aria-labelledby are scoped to the element's own (shadow) tree
+    const scope = element.getRootNode();
+
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy && scope.getElementById) {
+      const text = labelledBy.split(/\s+/)
+        .map(id => scope.getElementById(id))
+        .filter(Boolean)
+        .map(label => label.textContent)
+        .join(' ');
+      if (this.normalizeText(text)) return this.normalizeText(text);
+    }
+
+    const ariaLabel = this.normalizeText(element.getAttribute('aria-label'));
+    if (ariaLabel) return ariaLabel;
+
+    const tag = element.tagName;
+    if (tag === 'INPUT') {
+      const type = (element.getAttribute('type') || 'text').toLowerCase();
+      if (['button', 'submit', 'reset'].includes(type)) {
+        return this.normalizeText(element.value || { submit: 'Submit', reset: 'Reset' }[type] || '');
+      }
+      if (type === 'image') {
+        return this.normalizeText(element.getAttribute('alt') || element.value);
+      }
+    }
+
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(tag)) {
+      const labels = element.labels ? Array.from(element.labels).map(label => label.textContent).join(' ') : '';
+      if (this.normalizeText(labels)) return this.normalizeText(labels);
+      return this.normalizeText(element.getAttribute('title') || element.getAttribute('placeholder'));
+    }
+
+    if (tag === 'IMG' || tag === 'AREA') {
+      return this.normalizeText(element.getAttribute('alt') || element.getAttribute('title'));
+    }
+
+    if (this.NAME_FROM_CONTENT_ROLES.has(this.getRole(element))) {
+      const text = this.normalizeText(element.textContent);
+      if (text) return text;
+    }
+
+    return this.normalizeText(element.getAttribute('title'));
+  }
+}
+
+// Export for the content script, popup and background service worker
+self.SelectorUtils = SelectorUtils;
+
+} // End of the if block that prevents multiple loading
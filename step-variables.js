@@ -0,0 +1,61 @@
+// Step fields may reference variables as {{name}}. Extract steps set them
+// during a run, and later steps read them back: replay fills them in just
+// before a step runs, and exported code reads them from a `vars` object.
+class StepVariables {
+  static NAME = /^[A-Za-z_]\w*$/;
+  static PATTERN = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+  // Fields that are filled in before a step runs. Selectors may be locator
+  // objects or frame paths, so values are walked rather than read as strings
+  static FIELDS = ['selector', 'targetSelector', 'framePath', 'value', 'expected'];
+
+  static isValidName(name) {
+    return typeof name === 'string' && this.NAME.test(name);
+  }
+
+  // Calls replacer(name, placeholder) for every {{name}} in the value's strings
+  static replace(value, replacer) {
+    if (typeof value === 'string') {
+      return value.replace(this.PATTERN, (placeholder, name) => replacer(name, placeholder));
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.replace(item, replacer));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.replace(item, replacer)]));
+    }
+    return value;
+  }
+
+  // Names of the variables a step reads, in order of appearance
+  static references(step) {
+    const names = [];
+    this.FIELDS.forEach(field => this.replace(step[field], (name, placeholder) => {
+      if (!names.includes(name)) names.push(name);
+      return placeholder;
+    }));
+    return names;
+  }
+
+  // A copy of the step with the variables it reads filled in. Unknown names
+  // stay as written, so text that merely looks like {{this}} is not lost
+  static interpolateStep(step, variables = {}) {
+    const filled = { ...step };
+    this.FIELDS.forEach(field => {
+      if (field in filled) {
+        filled[field] = this.replace(filled[field], (name, placeholder) =>
+          Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : placeholder);
+      }
+    });
+    return filled;
+  }
+
+  // The value with every placeholder replaced by a plain word, so the
+  // syntax around it (CSS, XPath, regex) can be checked before a run
+  static withSampleValues(value) {
+    return this.replace(value, () => 'x');
+  }
+}
+
+// Export for the popup and background service worker
+self.StepVariables = StepVariables;
@@ -0,0 +1,108 @@
+class TestSchema {
+  // Bump this and add an entry to MIGRATIONS whenever the stored test shape changes
+  static CURRENT_VERSION = 3;
+
+  // Each migration upgrades a test from (version - 1) to version
+  static MIGRATIONS = {
+    // v2: stable IDs for tests and steps
+    2: (test) => ({
+      ...test,
+      id: test.id || TestSchema.generateId(),
+      steps: (test.steps || []).map(step => TestSchema.createStep(step))
+    }),
+    // v3: screenshots move out of the test into the IndexedDB blob store
+    3: async (test) => {
+      const migrated = await TestSchema.storeInlineScreenshots(test);
+      delete migrated.screenshots;
+      return migrated;
+    }
+  };
+
+  static generateId() {
+    return crypto.randomUUID();
+  }
+
+  static createStep(step) {
+    return { ...step, id: step.id || this.generateId() };
+  }
+
+  static async migrateTest(test) {
+    let migrated = { ...test };
+    let version = test.schemaVersion || 1;
+
+    while (version < this.CURRENT_VERSION) {
+      version++;
+      migrated = await this.MIGRATIONS[version](migrated);
+    }
+
+    migrated.schemaVersion = version;
+    return migrated;
+  }
+
+  static async migrateTests(tests) {
+    const migrated = [];
+    for (const test of tests || []) {
+      migrated.push(await this.migrateTest(test));
+    }
+    return migrated;
+  }
+
+  // Migrate an imported test; exported files carry screenshots inline
+  // whatever their schema version, so those are always moved to the store
+  static async importTest(test) {
+    return this.storeInlineScreenshots(await this.migrateTest(test));
+  }
+
+  static async importTests(tests) {
+    const imported = [];
+    for (const test of tests || []) {
+      imported.push(await this.importTest(test));
+    }
+    return imported;
+  }
+
+  // Replace inline data URL screenshots with references into ScreenshotStore
+  static async storeInlineScreenshots(test) {
+    const steps = [];
+    for (const step of test.steps || []) {
+      if (typeof step.screenshot === 'string' && step.screenshot.startsWith('data:')) {
+        const { screenshot, ...rest } = step;
+        steps.push({ ...rest, screenshotRef: await ScreenshotStore.put(screenshot) });
+      } else {
+        steps.push(step);
+      }
+    }
+    return { ...test, steps };
+  }
+
+  // Replace screenshot references with inline data URLs, for exporting
+  static async inlineScreenshots(test) {
+    const steps = [];
+    for (const step of test.steps || []) {
+      if (step.screenshotRef) {
+        const { screenshotRef, ...rest } = step;
+        steps.push({ ...rest, screenshot: await ScreenshotStore.getDataUrl(screenshotRef) });
+      } else {
+        steps.push(step);
+      }
+    }
+    return { ...test, steps };
+  }
+
+  static collectScreenshotRefs(tests) {
+    const refs = new Set();
+    (tests || []).forEach(test => {
+      (test.steps || []).forEach(step => {
+        if (step.screenshotRef) refs.add(step.screenshotRef);
+      });
+    });
+    return refs;
+  }
+
+  static needsMigration(tests) {
+    return (tests || []).some(test => (test.schemaVersion || 1) < this.CURRENT_VERSION);
+  }
+}
+
+// Export for use in the popup and the background service worker
+self.TestSchema = TestSchema;